@@ -35,53 +35,25 @@ $(document).on('shiny:connected', function() {
       }, {priority: 'event'});
     });
     
-    // Listen for validation completion
-    eventEmitter.on('validation:complete', function(result) {
-      console.log('Dictionary validation complete:', result.isValid);
-      
-      Shiny.setInputValue('dict_validation_complete', {
-        isValid: result.isValid,
-        issues: result.issues,
-        summary: result.summary,
-        timestamp: Date.now()
-      }, {priority: 'event'});
-    });
+    // Run validation and report the result in the versioned result format,
+    // like the main validator (see serializeResult)
+    var validatorOptions = Object.assign({}, window.psychDSValidatorOptions || {}, {emitter: eventEmitter});
+    var reportError = function(error) {
+      console.error('Validation error:', error);
+      Shiny.setInputValue('dict_validation_complete', window.psychDSValidator.serializeResult(
+        { summary: {} },
+        error
+      ), {priority: 'event'});
+    };
     
-    // Run validation
     try {
-      var result = window.psychDSValidator.validateWeb(fileData, eventEmitter);
-      
-      // Handle synchronous result
-      if (result && typeof result.then === 'function') {
-        // If it's a promise
-        result.then(function(validationResult) {
-          console.log('Validation promise resolved:', validationResult.isValid);
-        }).catch(function(error) {
-          console.error('Validation error:', error);
-          Shiny.setInputValue('dict_validation_complete', {
-            isValid: false,
-            issues: {
-              errors: [{
-                key: 'validation-error',
-                reason: 'Validation failed: ' + error.message
-              }]
-            },
-            timestamp: Date.now()
-          }, {priority: 'event'});
-        });
-      }
+      window.psychDSValidator.validateWeb(fileData, validatorOptions).then(function(result) {
+        var serialized = window.psychDSValidator.serializeResult(result);
+        console.log('Dictionary validation complete:', serialized.valid);
+        Shiny.setInputValue('dict_validation_complete', serialized, {priority: 'event'});
+      }).catch(reportError);
     } catch (error) {
-      console.error('Validation exception:', error);
-      Shiny.setInputValue('dict_validation_complete', {
-        isValid: false,
-        issues: {
-          errors: [{
-            key: 'validation-error',
-            reason: 'Validation exception: ' + error.message
-          }]
-        },
-        timestamp: Date.now()
-      }, {priority: 'event'});
+      reportError(error);
     }
   });
 });
@@ -51,6 +51,64 @@ function isShinyReady() {
   // Flag to track if validation has failed
   var validationFailed = false;
   
+  // The validation run in progress, if any: { controller, emitter }
+  var activeValidation = null;
+  
+  // Function to cancel the validation run in progress
+  function cancelActiveValidation() {
+    if (!activeValidation) {
+      return;
+    }
+    console.log('Cancelling the validation run in progress');
+    activeValidation.controller.abort();
+    // Stop the cancelled run from updating the checklist before it notices the abort
+    activeValidation.emitter.removeAllListeners();
+    activeValidation = null;
+  }
+  
+  // Validator running in a Web Worker (validator-worker.js), so large datasets
+  // do not freeze the page. null until first used, false if unavailable.
+  var validatorWorker = null;
+  
+  // Function to get (and start on first use) the validator worker
+  function getValidatorWorker() {
+    if (validatorWorker === null) {
+      validatorWorker = false;
+      if (typeof Worker !== 'undefined' && window.psychDSValidator.ValidatorWorker) {
+        try {
+          validatorWorker = new window.psychDSValidator.ValidatorWorker(
+            new Worker('js/validator-worker.js', { type: 'module' })
+          );
+        } catch (e) {
+          console.warn('Could not start the validator worker:', e);
+        }
+      }
+    }
+    return validatorWorker;
+  }
+  
+  // Function to run the validator, in the worker when possible
+  // Resolves to the serialized result (or null if the validator returned nothing)
+  function runValidator(fileData, options) {
+    var worker = getValidatorWorker();
+    if (!worker) {
+      return validateOnMainThread(fileData, options);
+    }
+    return worker.ready.then(function() {
+      return worker.validate(fileData, options);
+    }, function(error) {
+      console.warn('Validator worker unavailable, validating on the main thread:', error);
+      validatorWorker = false;
+      return validateOnMainThread(fileData, options);
+    });
+  }
+  
+  function validateOnMainThread(fileData, options) {
+    return window.psychDSValidator.validateWeb(fileData, options).then(function(result) {
+      return result ? window.psychDSValidator.serializeResult(result) : null;
+    });
+  }
+  
   // Function to reset the validation checklist
   function resetValidationChecklist() {
     console.log('Resetting validation checklist UI');
@@ -100,13 +158,20 @@ function isShinyReady() {
       
       // Handler for resetting validation UI
       Shiny.addCustomMessageHandler('reset_validation_ui', function(message) {
+        cancelActiveValidation();
         resetValidationChecklist();
+        // A different dataset was selected, so there is no previous run to compare with
+        window.lastValidationResult = null;
+        window.lastValidationDiff = null;
       });
       
       // Set up a single, clean handler for validation requests
       Shiny.addCustomMessageHandler('run_validation', function(fileData) {
         console.log('Validation requested with data keys:', Object.keys(fileData));
         
+        // Only one run may update the checklist at a time
+        cancelActiveValidation();
+        
         // Reset the checklist UI before starting a new validation
         resetValidationChecklist();
         
@@ -132,6 +197,8 @@ function isShinyReady() {
           
           // Create event emitter for tracking validation progress
           var eventEmitter = new EventEmitter3();
+          var controller = new AbortController();
+          activeValidation = { controller: controller, emitter: eventEmitter };
           
           // Create a shared step status object to track validation progress
           var stepStatus = {};
@@ -359,15 +426,26 @@ function isShinyReady() {
                     evidenceList.style.marginTop = '5px';
                     evidenceList.style.paddingLeft = '20px';
                     
-                    // Iterate through the files Map to get evidence
-                    issue.files.forEach(function(fileInfo, filePath) {
-                      if (fileInfo && fileInfo.evidence) {
+                    // List the first few occurrences (falling back to one per file)
+                    var occurrences = issue.occurrences || Array.from(issue.files.values());
+                    var shownCount = 0;
+                    occurrences.forEach(function(fileInfo) {
+                      if (fileInfo && fileInfo.evidence && shownCount < 5) {
                         var evidenceItem = document.createElement('li');
-                        evidenceItem.textContent = `${fileInfo.name}: ${fileInfo.evidence}`;
+                        var location = fileInfo.line ? ` (line ${fileInfo.line})` : '';
+                        evidenceItem.textContent = `${fileInfo.name}${location}: ${fileInfo.evidence}`;
                         evidenceList.appendChild(evidenceItem);
+                        shownCount++;
                       }
                     });
                     
+                    var totalCount = issue.occurrenceCount || occurrences.length;
+                    if (shownCount > 0 && totalCount > shownCount) {
+                      var moreItem = document.createElement('li');
+                      moreItem.textContent = `... and ${totalCount - shownCount} more`;
+                      evidenceList.appendChild(moreItem);
+                    }
+                    
                     if (evidenceList.childNodes.length > 0) {
                       evidenceElement.appendChild(document.createElement('strong')).textContent = 'Evidence: ';
                       evidenceElement.appendChild(evidenceList);
@@ -821,62 +899,62 @@ function isShinyReady() {
           
           // Now run the validation with the event emitter
           console.log('Starting validation with event listeners configured');
-          window.psychDSValidator.validateWeb(fileData, {emitter: eventEmitter})
+          // Page-level options (e.g. offline schema mode) are injected by ui.R
+          var validatorOptions = Object.assign({}, window.psychDSValidatorOptions || {}, {emitter: eventEmitter, signal: controller.signal});
+          runValidator(fileData, validatorOptions)
             .then(function(result) {
+              if (controller.signal.aborted) {
+                return;
+              }
+              activeValidation = null;
               console.log('Validation completed, result:', result);
               
-              // Store result for summary section
-              window.lastValidationResult = result;
-              
-              // Safety check - if result is null or undefined, create a default result
+              // The result arrives in the versioned result format; report a null result in the same format
               if (!result) {
                 console.warn('Warning: Validator returned null/undefined result');
-                result = {
-                  valid: false,
-                  summary: {
-                    totalFiles: countFilesInTree(fileData),
-                    dataTypes: [],
-                    error: 'Validator returned null result'
-                  },
-                  issues: {
-                    errors: [{
-                      key: 'VALIDATION_ERROR',
-                      reason: 'The validator returned a null result. This might indicate an issue with the file structure.',
-                      files: []
-                    }]
-                  }
-                };
               }
+              var serialized = result || window.psychDSValidator.serializeResult(
+                { summary: { totalFiles: countFilesInTree(fileData) } },
+                new Error('The validator returned a null result. This might indicate an issue with the file structure.')
+              );
+              
+              // Compare with the previous run of this dataset, if any
+              window.lastValidationDiff = null;
+              if (window.lastValidationResult && !window.lastValidationResult.summary.error && result) {
+                try {
+                  window.lastValidationDiff = window.psychDSValidator.diffResults(window.lastValidationResult, serialized);
+                } catch (diffError) {
+                  console.warn('Could not compare with the previous validation result:', diffError);
+                }
+              }
+              
+              // Store result for summary section
+              window.lastValidationResult = serialized;
               
               if (isShinyReady()) {
-                Shiny.setInputValue('validation_results', result, {priority: 'event'});
+                Shiny.setInputValue('validation_results', serialized, {priority: 'event'});
               }
               
               // Update progress
               safeSetProgress(1, 'Complete');
               
               // Update the summary section
-              updateSummary(result.valid);
+              updateSummary(serialized.valid);
             })
             .catch(function(error) {
+              if (controller.signal.aborted) {
+                console.log('Validation cancelled:', error.name === 'AbortError' ? 'superseded by a new run' : error);
+                return;
+              }
+              activeValidation = null;
               console.error('Validation error:', error);
               
-              // Create a proper error result
-              var errorResult = {
-                valid: false,
-                summary: {
-                  totalFiles: countFilesInTree(fileData),
-                  dataTypes: [],
-                  error: error.message || error.toString()
-                },
-                issues: {
-                  errors: [{
-                    key: 'VALIDATION_ERROR',
-                    reason: error.message || error.toString(),
-                    files: []
-                  }]
-                }
-              };
+              // Report the failure in the same versioned result format
+              var errorResult = window.psychDSValidator.serializeResult(
+                { summary: { totalFiles: countFilesInTree(fileData) } },
+                error
+              );
+              window.lastValidationResult = errorResult;
               
               if (isShinyReady()) {
                 // Send both the error and a fallback result
@@ -1147,6 +1225,13 @@ function validateFileTree(tree) {
         }
       }
       
+      // Changes since the previous run of this dataset
+      if (window.lastValidationDiff) {
+        var counts = window.lastValidationDiff.counts;
+        html += '<li>Since last run: ' + counts.resolved + ' issue' + (counts.resolved === 1 ? '' : 's') + ' fixed, ' +
+          counts.introduced + ' new, ' + counts.persisting + ' remaining</li>';
+      }
+      
       // Add validation status
       html += '<li style="color: ' + (isValid ? '#4caf50' : '#f44336') + '; font-weight: bold;">';
       html += isValid ? 'This dataset appears to be Psych-DS compatible' : 'This dataset does not appear to be Psych-DS compatible';
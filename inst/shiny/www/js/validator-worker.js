@@ -0,0 +1,10 @@
+// Module worker that runs the validator off the main thread, so parsing large
+// datasets does not freeze the Shiny UI. Started by validator-utils.js through
+// window.psychDSValidator.ValidatorWorker.
+
+// jsonld.min.js attaches itself to `window`, which workers do not have
+self.window = self;
+await import('./jsonld.min.js');
+
+const { hostValidatorWorker } = await import('./validator.js');
+hostValidatorWorker(self);
@@ -4836,6 +4836,7 @@ function _findRuleMatches(node, path2, context) {
 }
 
 // src/types/issues.ts
+var MAX_ISSUE_OCCURRENCES = 500;
 var Issue = class {
   constructor({
     key,
@@ -4848,13 +4849,44 @@ var Issue = class {
     this.severity = severity;
     this.reason = reason;
     this.requires = requires;
-    if (Array.isArray(files)) {
-      this.files = /* @__PURE__ */ new Map();
-      for (const f of files) {
+    this.files = /* @__PURE__ */ new Map();
+    this.occurrences = [];
+    this.occurrenceCount = 0;
+    this.fileCounts = /* @__PURE__ */ new Map();
+    this.seenOccurrences = /* @__PURE__ */ new Set();
+    this.addOccurrences(Array.isArray(files) ? files : Array.from(files.values()));
+  }
+  /**
+   * Records each file entry as one occurrence of this issue
+   * Every occurrence is counted, but only the first MAX_ISSUE_OCCURRENCES are
+   * kept; issue.files keeps the first occurrence per file. Entries identical
+   * to a kept occurrence (same file, location and evidence) are not counted
+   * again; past the cap, other entries are counted without deduplication.
+   * An entry with an "unlisted" count stands for that many occurrences in its
+   * file that a check only counted; they add to the counts but are not kept.
+   *
+   * @param files - File entries, optionally carrying evidence, line and character
+   */
+  addOccurrences(files) {
+    for (const f of files) {
+      if (f.unlisted) {
+        this.occurrenceCount += f.unlisted;
+        this.fileCounts.set(f.path, (this.fileCounts.get(f.path) || 0) + f.unlisted);
+        continue;
+      }
+      const id = [f.path, f.line || 0, f.character || 0, f.evidence || ""].join("\0");
+      if (this.seenOccurrences.has(id)) {
+        continue;
+      }
+      this.occurrenceCount++;
+      this.fileCounts.set(f.path, (this.fileCounts.get(f.path) || 0) + 1);
+      if (!this.files.has(f.path)) {
         this.files.set(f.path, f);
       }
-    } else {
-      this.files = files;
+      if (this.occurrences.length < MAX_ISSUE_OCCURRENCES) {
+        this.seenOccurrences.add(id);
+        this.occurrences.push(f);
+      }
     }
   }
   get helpUrl() {
@@ -4878,7 +4910,8 @@ var issueFile = (issue, f) => {
     character,
     severity: issue.severity,
     reason,
-    helpUrl: issue.helpUrl
+    helpUrl: issue.helpUrl,
+    ...f.justification ? { justification: f.justification } : {}
   };
 };
 var DatasetIssues = class extends Map {
@@ -4889,53 +4922,123 @@ var DatasetIssues = class extends Map {
   constructor(schema) {
     super();
     this.schema = schema ? schema : {};
+    this.config = [];
+    this.accepted = /* @__PURE__ */ new Map();
   }
   /**
    * Adds a new issue or updates an existing one
-   * If an issue with the same key exists, merges the file references
+   * If an issue with the same key exists, its occurrences are appended.
+   * Occurrences matched by a validator config entry (see readValidatorConfig)
+   * are moved to this.accepted when suppressed, or to a separate "KEY@level"
+   * entry when re-leveled.
    *
    * @param params - Issue parameters
    * @returns The added or updated issue
    */
-  add({
+  add(params) {
+    const { key, files = [] } = params;
+    const entries = this.config.filter((entry) => entry.code === key);
+    if (entries.length === 0) {
+      return this.record(this, key, params);
+    }
+    const groups = /* @__PURE__ */ new Map();
+    const group = (path2) => {
+      const entry = entries.find((candidate) => candidate.test(path2)) || null;
+      if (!groups.has(entry)) {
+        groups.set(entry, []);
+      }
+      return groups.get(entry);
+    };
+    if (files.length === 0) {
+      group(void 0);
+    }
+    for (const f of files) {
+      group(f.path).push(f);
+    }
+    let issue;
+    for (const [entry, groupFiles] of groups) {
+      const groupParams = { ...params, files: groupFiles };
+      const severity = params.severity || "error";
+      if (!entry || entry.action === "relevel" && entry.level === severity) {
+        issue = this.record(this, key, groupParams);
+      } else if (entry.action === "suppress") {
+        issue = this.record(this.accepted, key, groupParams, entry);
+      } else {
+        issue = this.record(this, `${key}@${entry.level}`, { ...groupParams, severity: entry.level }, entry);
+        issue.originalSeverity = severity;
+      }
+    }
+    return issue;
+  }
+  /**
+   * Stores an issue's occurrences in a collection, creating the issue if needed
+   * @param target - This collection or this.accepted
+   * @param mapKey - Key to store the issue under
+   * @param params - Issue parameters
+   * @param entry - Validator config entry that applied, if any
+   * @returns The added or updated issue
+   * @private
+   */
+  record(target, mapKey, {
     key,
     reason,
     severity = "error",
     requires = [],
     files = []
-  }) {
-    const existingIssue = this.get(key);
+  }, entry) {
+    if (entry) {
+      files = files.map((f) => ({ ...f, justification: entry.justification }));
+    }
+    const existingIssue = target.has(mapKey) ? target.get(mapKey) : void 0;
     if (existingIssue) {
-      for (const f of files) {
-        existingIssue.files.set(f.path, f);
-      }
+      existingIssue.addOccurrences(files);
       return existingIssue;
-    } else {
-      const newIssue = new Issue({
-        key,
-        severity,
-        reason,
-        requires,
-        files
-      });
-      this.set(key, newIssue);
-      return newIssue;
     }
+    const newIssue = new Issue({
+      key,
+      severity,
+      reason,
+      requires,
+      files
+    });
+    if (entry) {
+      newIssue.justification = entry.justification;
+    }
+    target.set(mapKey, newIssue);
+    return newIssue;
+  }
+  /**
+   * Gets an issue by its code
+   * Falls back to a re-leveled "KEY@level" entry when no occurrences kept the
+   * original severity.
+   *
+   * @param key - Issue code, or the exact key of a re-leveled entry
+   * @returns The issue, or undefined
+   */
+  get(key) {
+    if (this.has(key)) {
+      return super.get(key);
+    }
+    for (const [mapKey, issue] of this) {
+      if (mapKey.startsWith(`${key}@`)) {
+        return issue;
+      }
+    }
+    return void 0;
   }
   /**
-   * Checks if a specific issue exists
+   * Checks if a specific issue exists, including re-leveled "KEY@level" entries
    * @param key - Issue identifier to check
    * @returns True if the issue exists
    */
   hasIssue({ key }) {
-    if (this.has(key)) {
-      return true;
-    }
-    return false;
+    return this.get(key) !== void 0;
   }
   /**
    * Adds an issue using metadata from the schema
-   * Retrieves issue details from schema's error definitions
+   * Retrieves issue details from schema's error definitions. Trailing
+   * punctuation is stripped from the level, as published schema versions
+   * spell JsonKeyRecommended's level "warning,".
    *
    * @param key - Schema error key
    * @param files - Array of affected files
@@ -4945,7 +5048,7 @@ var DatasetIssues = class extends Map {
       this.add({
         key: this.schema[`rules.errors.${key}.code`],
         reason: this.schema[`rules.errors.${key}.reason`],
-        severity: this.schema[`rules.errors.${key}.level`],
+        severity: this.schema[`rules.errors.${key}.level`]?.replace(/\W+$/, ""),
         requires: this.schema[`rules.errors.${key}.requires`],
         files
       });
@@ -4980,9 +5083,11 @@ var DatasetIssues = class extends Map {
    * @param rulesRecord - Record of which rules were satisfied
    */
   filterIssues(rulesRecord) {
-    for (const [_, issue] of this) {
-      if (!issue.requires.every((req) => rulesRecord[req])) {
-        this.delete(_);
+    for (const collection of [this, this.accepted]) {
+      for (const [_, issue] of collection) {
+        if (!issue.requires.every((req) => rulesRecord[req])) {
+          collection.delete(_);
+        }
       }
     }
   }
@@ -4990,24 +5095,45 @@ var DatasetIssues = class extends Map {
    * Formats issues for output
    * Converts internal representation to standardized output format
    * Separates issues by severity (errors vs warnings)
+   * Lists one file entry per kept occurrence; occurrences and files beyond the
+   * kept ones are reported through additionalOccurrenceCount and additionalFileCount.
+   * Issues suppressed by the validator config are listed under "accepted".
    *
-   * @returns Formatted issues object with separate error and warning arrays
+   * @returns Formatted issues object with separate error, warning and accepted arrays
    */
   formatOutput() {
     const output = {
       errors: [],
-      warnings: []
+      warnings: [],
+      accepted: []
     };
-    for (const [_, issue] of this) {
+    const toOutputIssue = (issue) => {
+      const listedPaths = new Set(issue.occurrences.map((f) => f.path));
       const outputIssue = {
         severity: issue.severity,
         key: issue.key,
         code: CODE_DEPRECATED,
-        additionalFileCount: 0,
+        additionalFileCount: [...issue.fileCounts.keys()].filter((path2) => !listedPaths.has(path2)).length,
+        additionalOccurrenceCount: issue.occurrenceCount - issue.occurrences.length,
+        occurrenceCount: issue.occurrenceCount,
+        fileCounts: Object.fromEntries(issue.fileCounts),
         reason: issue.reason,
-        files: Array.from(issue.files.values()).map((f) => issueFile(issue, f)),
+        files: issue.occurrences.map((f) => issueFile(issue, f)),
         helpUrl: issue.helpUrl
       };
+      if (issue.originalSeverity) {
+        outputIssue.originalSeverity = issue.originalSeverity;
+      }
+      if (issue.justification) {
+        outputIssue.justification = issue.justification;
+      }
+      return outputIssue;
+    };
+    for (const [_, issue] of this.accepted) {
+      output.accepted.push(toOutputIssue(issue));
+    }
+    for (const [_, issue] of this) {
+      const outputIssue = toOutputIssue(issue);
       if (issue.severity === "warning") {
         output.warnings.push(outputIssue);
       } else {
@@ -5020,7 +5146,9 @@ var DatasetIssues = class extends Map {
 
 // src/utils/platform.ts
 //import process from "node:process";
-var isBrowser = typeof window !== "undefined" && // deno-lint-ignore no-explicit-any
+var isWorker = typeof WorkerGlobalScope !== "undefined" && // deno-lint-ignore no-explicit-any
+globalThis instanceof WorkerGlobalScope;
+var isBrowser = isWorker || typeof window !== "undefined" && // deno-lint-ignore no-explicit-any
 typeof window.document !== "undefined";
 var isNode = typeof process !== "undefined" && process.versions != null && process.versions.node != null;
 var isDeno = typeof Deno !== "undefined";
@@ -5056,21 +5184,24 @@ var readFile = async (filePath) => {
 };
 var createReadStream = (filePath) => {
   if (isNode) {
+    let chunks;
     return new ReadableStream({
-      async start(controller) {
-        const fs = await import("node:fs");
-        const readStream = fs.createReadStream(filePath);
-        readStream.on("data", (chunk) => {
-          if (chunk instanceof Uint8Array) {
-            controller.enqueue(chunk);
-          } else if (typeof chunk === "string") {
-            controller.enqueue(new TextEncoder().encode(chunk));
-          } else {
-            controller.enqueue(new TextEncoder().encode(String(chunk)));
-          }
-        });
-        readStream.on("end", () => controller.close());
-        readStream.on("error", (error2) => controller.error(error2));
+      async pull(controller) {
+        if (!chunks) {
+          const fs = await import("node:fs");
+          chunks = fs.createReadStream(filePath)[Symbol.asyncIterator]();
+        }
+        const { value: chunk, done } = await chunks.next();
+        if (done) {
+          controller.close();
+        } else if (chunk instanceof Uint8Array) {
+          controller.enqueue(chunk);
+        } else {
+          controller.enqueue(new TextEncoder().encode(String(chunk)));
+        }
+      },
+      cancel() {
+        return chunks?.return?.();
       }
     });
   } else if (isDeno) {
@@ -5100,6 +5231,20 @@ var createReadStream = (filePath) => {
   }
 };
 
+async function* readStreamChunks(stream) {
+  const reader = stream.getReader();
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done)
+        return;
+      yield value;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
 // src/validators/filenameValidate.ts
 var CHECKS2 = [
   checkRules
@@ -5171,16 +5316,31 @@ function keywordCheck(path2, schema, context) {
         );
       }
     }
-    if (!Object.keys(context.keywords).every(
-      (keyword) => keyword in schema["meta.context.context.properties.keywords.properties"]
-    )) {
+    const officialKeywords = schema["meta.context.context.properties.keywords.properties"] || {};
+    const unofficialKeywords = Object.keys(context.keywords).filter(
+      (keyword) => !(keyword in officialKeywords)
+    );
+    if (unofficialKeywords.length) {
       context.issues.addSchemaIssue(
-        "FilenameUnofficialKeywordWarning",
-        [context.file]
+        rule.nonCanonicalKeywordsAllowed === false || strictKeywords(context) ? "FilenameUnofficialKeywordError" : "FilenameUnofficialKeywordWarning",
+        [{
+          ...context.file,
+          evidence: `Unofficial keywords: [${unofficialKeywords.join(", ")}]`
+        }]
       );
     }
   }
 }
+/**
+ * Checks whether unofficial filename keywords should be reported as errors
+ * Enabled by the "strict" or "strictKeywords" validator options
+ * @param context - Current file context
+ * @returns True if strict keyword checking is enabled
+ */
+function strictKeywords(context) {
+  const options = context.dataset.options;
+  return !!options && (options.strict === true || options.strictKeywords === true);
+}
 function checkMissingRules(schema, rulesRecord, issues) {
   Object.keys(rulesRecord).filter((key) => {
     return rulesRecord[key] === false;
@@ -5204,9 +5364,554 @@ var memoize = (fn) => {
   return cached;
 };
 
+// src/schema/levelAddendum.ts
+var ADDENDUM_LEVELS = ["required", "recommended", "optional", "prohibited"];
+var AddendumSyntaxError = class extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AddendumSyntaxError";
+  }
+};
+function tokenizeAddendum(text) {
+  const tokens = [];
+  const tokenRegex = /\s*(?:`([^`]*)`|"([^"]*)"|(-?\d+(?:\.\d+)?)(?![\w.])|([A-Za-z_][\w-]*)|([(),]))/y;
+  let index = 0;
+  while (index < text.length) {
+    if (/^\s*$/.test(text.slice(index))) {
+      break;
+    }
+    tokenRegex.lastIndex = index;
+    const match = tokenRegex.exec(text);
+    if (!match) {
+      throw new AddendumSyntaxError(
+        `Unexpected character '${text.slice(index).trim()[0]}' at position ${index}`
+      );
+    }
+    const [, ref, quoted, number, word, punct] = match;
+    if (ref !== void 0) {
+      tokens.push({ type: "ref", value: ref });
+    } else if (quoted !== void 0) {
+      tokens.push({ type: "string", value: quoted });
+    } else if (number !== void 0) {
+      tokens.push({ type: "number", value: number });
+    } else if (word !== void 0) {
+      tokens.push({ type: "word", value: word.toLowerCase() });
+    } else {
+      tokens.push({ type: "punct", value: punct });
+    }
+    index = tokenRegex.lastIndex;
+  }
+  return tokens;
+}
+/**
+ * Parses a level_addendum into a level and a condition tree
+ *
+ * Grammar:
+ *   addendum  := level "if" or
+ *   or        := and ("or" and)*
+ *   and       := not ("and" not)*
+ *   not       := "not" not | "(" or ")" | predicate
+ *   predicate := ref "is" ["not"] ("present" | value)
+ *              | ("any" | "no" | "every") "data file uses" ["the"] ref "keyword"
+ *              | "this file uses" ["the"] ref "keyword"
+ *
+ * where ref is a `backticked` (optionally dotted) metadata key and value is a
+ * `backticked` or "quoted" literal, a number, true or false.
+ *
+ * @param text - level_addendum text from the schema
+ * @returns Parsed addendum, or an object with an "error" message
+ */
+function parseLevelAddendum(text) {
+  try {
+    const tokens = tokenizeAddendum(text.trim().replace(/\.$/, ""));
+    let position = 0;
+    const peek = () => tokens[position];
+    const isWord = (value) => peek()?.type === "word" && peek().value === value;
+    const expectWord = (...values) => {
+      for (const value of values) {
+        if (!isWord(value)) {
+          throw new AddendumSyntaxError(
+            `Expected "${value}" but found ${peek() ? `"${peek().value}"` : "end of text"}`
+          );
+        }
+        position++;
+      }
+    };
+    const expectRef = () => {
+      if (peek()?.type !== "ref") {
+        throw new AddendumSyntaxError(
+          `Expected a \`backticked\` key but found ${peek() ? `"${peek().value}"` : "end of text"}`
+        );
+      }
+      return tokens[position++].value;
+    };
+    const parseKeywordTail = () => {
+      if (isWord("the")) {
+        position++;
+      }
+      const keyword = expectRef();
+      expectWord("keyword");
+      return keyword;
+    };
+    const parsePredicate = () => {
+      if (isWord("any") || isWord("no") || isWord("every")) {
+        const quantifier = tokens[position++].value;
+        expectWord("data", "file", "uses");
+        return { type: "datasetKeyword", quantifier, keyword: parseKeywordTail() };
+      }
+      if (isWord("this")) {
+        position++;
+        expectWord("file", "uses");
+        return { type: "fileKeyword", keyword: parseKeywordTail() };
+      }
+      const key = expectRef();
+      expectWord("is");
+      let negated = false;
+      if (isWord("not")) {
+        negated = true;
+        position++;
+      }
+      let predicate;
+      const token = peek();
+      if (isWord("present")) {
+        position++;
+        predicate = { type: "present", key };
+      } else if (token && (token.type === "ref" || token.type === "string" || token.type === "number")) {
+        position++;
+        predicate = { type: "equals", key, value: token.value };
+      } else if (isWord("true") || isWord("false")) {
+        position++;
+        predicate = { type: "equals", key, value: token.value };
+      } else {
+        throw new AddendumSyntaxError(
+          `Expected "present" or a value after "is" but found ${token ? `"${token.value}"` : "end of text"}`
+        );
+      }
+      return negated ? { type: "not", operand: predicate } : predicate;
+    };
+    const parseNot = () => {
+      if (isWord("not")) {
+        position++;
+        return { type: "not", operand: parseNot() };
+      }
+      if (peek()?.type === "punct" && peek().value === "(") {
+        position++;
+        const inner = parseOr();
+        if (!(peek()?.type === "punct" && peek().value === ")")) {
+          throw new AddendumSyntaxError(`Expected ")"`);
+        }
+        position++;
+        return inner;
+      }
+      return parsePredicate();
+    };
+    const parseAnd = () => {
+      let left = parseNot();
+      while (isWord("and")) {
+        position++;
+        left = { type: "and", left, right: parseNot() };
+      }
+      return left;
+    };
+    const parseOr = () => {
+      let left = parseAnd();
+      while (isWord("or")) {
+        position++;
+        left = { type: "or", left, right: parseAnd() };
+      }
+      return left;
+    };
+    const level = peek()?.type === "word" ? peek().value : "";
+    if (!ADDENDUM_LEVELS.includes(level)) {
+      throw new AddendumSyntaxError(
+        `Expected one of [${ADDENDUM_LEVELS.join(", ")}] at the start of the addendum`
+      );
+    }
+    position++;
+    expectWord("if");
+    const condition = parseOr();
+    if (position < tokens.length) {
+      throw new AddendumSyntaxError(`Unexpected "${peek().value}" after the end of the condition`);
+    }
+    return { level, condition, text };
+  } catch (error2) {
+    if (error2 instanceof AddendumSyntaxError) {
+      return { error: error2.message, text };
+    }
+    throw error2;
+  }
+}
+var parseLevelAddendumCached = memoize(parseLevelAddendum);
+/**
+ * Resolves a dotted key against the compiled sidecar metadata
+ * Arrays are flattened, so a nested key matches if any element matches
+ * @param sidecar - Compiled sidecar metadata
+ * @param key - Dotted key, e.g. "author.name"
+ * @returns All values found at the key
+ */
+function resolveAddendumKey(sidecar, key) {
+  let candidates = [sidecar];
+  for (const segment of key.split(".")) {
+    candidates = candidates.flatMap((candidate) => {
+      if (candidate && typeof candidate === "object" && !Array.isArray(candidate) && segment in candidate) {
+        const value = candidate[segment];
+        return Array.isArray(value) ? value : [value];
+      }
+      return [];
+    });
+  }
+  return candidates.filter((value) => value !== void 0 && value !== null);
+}
+function addendumValueEquals(candidate, value) {
+  if (candidate && typeof candidate === "object") {
+    candidate = candidate["@value"] ?? candidate["@id"];
+  }
+  return candidate !== void 0 && candidate !== null && typeof candidate !== "object" && String(candidate) === value;
+}
+/**
+ * Collects the filename keywords of every data file in the dataset
+ * Cached on the dataset context, since the file tree is fixed per run
+ * @param context - Current file context
+ * @returns Array of keyword records, one per data file
+ */
+function dataFileKeywords(context) {
+  if (!context.dataset.dataFileKeywords) {
+    const keywordSets = [];
+    const walk = (tree) => {
+      for (const file of tree.files) {
+        const { keywords, suffix, extension } = readElements(file.name);
+        if ((extension === ".csv" || extension === ".tsv") && suffix === "data" && !file.ignored) {
+          keywordSets.push(keywords);
+        }
+      }
+      tree.directories.forEach(walk);
+    };
+    walk(context.fileTree);
+    context.dataset.dataFileKeywords = keywordSets;
+  }
+  return context.dataset.dataFileKeywords;
+}
+function evalAddendumCondition(node, context) {
+  switch (node.type) {
+    case "and":
+      return evalAddendumCondition(node.left, context) && evalAddendumCondition(node.right, context);
+    case "or":
+      return evalAddendumCondition(node.left, context) || evalAddendumCondition(node.right, context);
+    case "not":
+      return !evalAddendumCondition(node.operand, context);
+    case "present":
+      return resolveAddendumKey(context.sidecar, node.key).length > 0;
+    case "equals":
+      return resolveAddendumKey(context.sidecar, node.key).some(
+        (candidate) => addendumValueEquals(candidate, node.value)
+      );
+    case "fileKeyword":
+      return node.keyword in context.keywords;
+    case "datasetKeyword": {
+      const keywordSets = dataFileKeywords(context);
+      const uses = (keywords) => node.keyword in keywords;
+      if (node.quantifier === "any")
+        return keywordSets.some(uses);
+      if (node.quantifier === "no")
+        return !keywordSets.some(uses);
+      return keywordSets.length > 0 && keywordSets.every(uses);
+    }
+    default:
+      return false;
+  }
+}
+
+// src/schema/selectors.ts
+var SelectorSyntaxError = class extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SelectorSyntaxError";
+  }
+};
+var SELECTOR_OPERATORS = ["===", "!==", "==", "!=", "<=", ">=", "&&", "||", "<", ">", "!", "(", ")", "[", "]", ".", ","];
+function tokenizeSelector(src) {
+  const tokens = [];
+  let index = 0;
+  while (index < src.length) {
+    const char = src[index];
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+    if (char === '"' || char === "'") {
+      let value = "";
+      let end = index + 1;
+      while (end < src.length && src[end] !== char) {
+        if (src[end] === "\\" && end + 1 < src.length) {
+          end++;
+        }
+        value += src[end];
+        end++;
+      }
+      if (end >= src.length) {
+        throw new SelectorSyntaxError(`Unterminated string starting at position ${index}`);
+      }
+      tokens.push({ type: "literal", value, position: index });
+      index = end + 1;
+      continue;
+    }
+    const number = /^-?\d+(?:\.\d+)?/.exec(src.slice(index));
+    if (number) {
+      tokens.push({ type: "literal", value: Number(number[0]), position: index });
+      index += number[0].length;
+      continue;
+    }
+    const identifier = /^[A-Za-z_$][\w$]*/.exec(src.slice(index));
+    if (identifier) {
+      const word = identifier[0];
+      if (word === "true" || word === "false") {
+        tokens.push({ type: "literal", value: word === "true", position: index });
+      } else if (word === "null") {
+        tokens.push({ type: "literal", value: null, position: index });
+      } else if (word === "in") {
+        tokens.push({ type: "operator", value: "in", position: index });
+      } else {
+        tokens.push({ type: "identifier", value: word, position: index });
+      }
+      index += word.length;
+      continue;
+    }
+    const operator = SELECTOR_OPERATORS.find((op) => src.startsWith(op, index));
+    if (!operator) {
+      throw new SelectorSyntaxError(`Unexpected character '${char}' at position ${index}`);
+    }
+    tokens.push({ type: "operator", value: operator, position: index });
+    index += operator.length;
+  }
+  return tokens;
+}
+/**
+ * Parses a rule selector into an expression tree
+ *
+ * Supports literals (strings, numbers including negative ones, true, false,
+ * null, arrays),
+ * identifiers resolved against the validation context, member access
+ * (a.b, a["b"], a[0]), !, comparisons (==, !=, ===, !==, <, <=, >, >=),
+ * "in", && and ||, and parentheses.
+ *
+ * @param src - Selector source text
+ * @returns Parsed selector, or an object with an "error" message
+ */
+function parseSelector(src) {
+  try {
+    const tokens = tokenizeSelector(src);
+    let position = 0;
+    const peek = () => tokens[position];
+    const isOperator = (...values) => peek()?.type === "operator" && values.includes(peek().value);
+    const describe = (token) => token ? `"${token.value}" at position ${token.position}` : "end of selector";
+    const expectOperator = (value) => {
+      if (!isOperator(value)) {
+        throw new SelectorSyntaxError(`Expected "${value}" but found ${describe(peek())}`);
+      }
+      position++;
+    };
+    const parsePrimary = () => {
+      const token = peek();
+      if (!token) {
+        throw new SelectorSyntaxError(`Unexpected end of selector`);
+      }
+      if (token.type === "literal") {
+        position++;
+        return { type: "literal", value: token.value };
+      }
+      if (token.type === "identifier") {
+        position++;
+        return { type: "identifier", name: token.value };
+      }
+      if (isOperator("(")) {
+        position++;
+        const inner = parseOr();
+        expectOperator(")");
+        return inner;
+      }
+      if (isOperator("[")) {
+        position++;
+        const elements = [];
+        while (!isOperator("]")) {
+          elements.push(parseOr());
+          if (!isOperator("]")) {
+            expectOperator(",");
+          }
+        }
+        position++;
+        return { type: "array", elements };
+      }
+      throw new SelectorSyntaxError(`Unexpected ${describe(token)}`);
+    };
+    const parseMember = () => {
+      let node = parsePrimary();
+      while (isOperator(".", "[")) {
+        if (tokens[position++].value === ".") {
+          const token = peek();
+          if (token?.type !== "identifier") {
+            throw new SelectorSyntaxError(`Expected a property name but found ${describe(token)}`);
+          }
+          position++;
+          node = { type: "member", object: node, property: { type: "literal", value: token.value } };
+        } else {
+          const property = parseOr();
+          expectOperator("]");
+          node = { type: "member", object: node, property };
+        }
+      }
+      return node;
+    };
+    const parseUnary = () => {
+      if (isOperator("!")) {
+        position++;
+        return { type: "not", operand: parseUnary() };
+      }
+      return parseMember();
+    };
+    const parseRelational = () => {
+      let left = parseUnary();
+      while (isOperator("<", "<=", ">", ">=", "in")) {
+        const operator = tokens[position++].value;
+        left = { type: "binary", operator, left, right: parseUnary() };
+      }
+      return left;
+    };
+    const parseEquality = () => {
+      let left = parseRelational();
+      while (isOperator("==", "!=", "===", "!==")) {
+        const operator = tokens[position++].value;
+        left = { type: "binary", operator, left, right: parseRelational() };
+      }
+      return left;
+    };
+    const parseAnd = () => {
+      let left = parseEquality();
+      while (isOperator("&&")) {
+        position++;
+        left = { type: "and", left, right: parseEquality() };
+      }
+      return left;
+    };
+    const parseOr = () => {
+      let left = parseAnd();
+      while (isOperator("||")) {
+        position++;
+        left = { type: "or", left, right: parseAnd() };
+      }
+      return left;
+    };
+    const expression = parseOr();
+    if (position < tokens.length) {
+      throw new SelectorSyntaxError(`Unexpected ${describe(peek())}`);
+    }
+    return { expression, src };
+  } catch (error2) {
+    if (error2 instanceof SelectorSyntaxError) {
+      return { error: error2.message, src };
+    }
+    throw error2;
+  }
+}
+var parseSelectorCached = memoize(parseSelector);
+var HIDDEN_SELECTOR_PROPERTIES = ["__proto__", "constructor", "prototype"];
+/**
+ * Finds the getter a class defines for a property, e.g. file.ignored
+ * Prototypes are searched up to (not including) Object.prototype.
+ */
+function prototypeGetter(target, property) {
+  for (let proto = Object.getPrototypeOf(target); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+    const descriptor = Object.getOwnPropertyDescriptor(proto, property);
+    if (descriptor) {
+      return descriptor.get;
+    }
+  }
+  return void 0;
+}
+/**
+ * Reads a property without reaching into prototype methods
+ * Only own properties, getters defined by classes and the length of arrays
+ * and strings are visible
+ */
+function selectorProperty(target, property) {
+  if (target === void 0 || target === null || HIDDEN_SELECTOR_PROPERTIES.includes(property)) {
+    return void 0;
+  }
+  if (property === "length" && (Array.isArray(target) || typeof target === "string")) {
+    return target.length;
+  }
+  if (typeof target !== "object") {
+    return void 0;
+  }
+  if (Object.prototype.hasOwnProperty.call(target, property)) {
+    return target[property];
+  }
+  if (target instanceof Map && target.has(property)) {
+    return target.get(property);
+  }
+  if (typeof property === "string" && prototypeGetter(target, property)) {
+    return target[property];
+  }
+  return void 0;
+}
+function evalSelector(node, context) {
+  switch (node.type) {
+    case "literal":
+      return node.value;
+    case "identifier":
+      return node.name in context && !(node.name in Object.prototype) ? context[node.name] : void 0;
+    case "array":
+      return node.elements.map((element) => evalSelector(element, context));
+    case "member":
+      return selectorProperty(
+        evalSelector(node.object, context),
+        evalSelector(node.property, context)
+      );
+    case "not":
+      return !evalSelector(node.operand, context);
+    case "and":
+      return evalSelector(node.left, context) && evalSelector(node.right, context);
+    case "or":
+      return evalSelector(node.left, context) || evalSelector(node.right, context);
+    case "binary": {
+      const left = evalSelector(node.left, context);
+      const right = evalSelector(node.right, context);
+      switch (node.operator) {
+        case "==":
+          return left == right;
+        case "===":
+          return left === right;
+        case "!=":
+          return left != right;
+        case "!==":
+          return left !== right;
+        case "<":
+          return left < right;
+        case "<=":
+          return left <= right;
+        case ">":
+          return left > right;
+        case ">=":
+          return left >= right;
+        case "in":
+          if (Array.isArray(right)) {
+            return right.includes(left);
+          }
+          return selectorProperty(right, left) !== void 0;
+      }
+    }
+  }
+  return void 0;
+}
+
 // src/schema/applyRules.ts
-var superClassSlotsCache = /* @__PURE__ */ new Map();
-var subClassSlotsCache = /* @__PURE__ */ new Map();
+var slotsCaches = /* @__PURE__ */ new WeakMap();
+function getSlotsCache(schema) {
+  const schemaOrg = schema["schemaOrg"] || schema;
+  if (!slotsCaches.has(schemaOrg)) {
+    slotsCaches.set(schemaOrg, /* @__PURE__ */ new Map());
+  }
+  return slotsCaches.get(schemaOrg);
+}
 function applyRules(schema, context, rootSchema, schemaPath) {
   if (!rootSchema) {
     rootSchema = schema;
@@ -5234,41 +5939,111 @@ function applyRules(schema, context, rootSchema, schemaPath) {
       );
     }
   }
+  if (rootSchema === schema && context.repeatedColumns.length && !ruleKeyDeclared(schema, "noRepeatColumns")) {
+    reportRepeatedColumns(context);
+  }
   return Promise.resolve();
 }
-var evalConstructor = (src) => new Function("context", `with (context) { return ${src} }`);
-var safeHas = () => true;
-var safeGet = (target, prop) => prop === Symbol.unscopables ? void 0 : target[prop];
-var memoizedEvalConstructor = memoize(evalConstructor);
-function evalCheck(src, context) {
-  const test = memoizedEvalConstructor(src);
-  const safeContext = new Proxy(context, { has: safeHas, get: safeGet });
-  try {
-    return test(safeContext);
-  } catch (_error) {
+var declaredRuleKeys = /* @__PURE__ */ new WeakMap();
+/**
+ * Checks whether any selector-based rule in the schema declares a rule key
+ * Schemas that never declare a key keep the validator's built-in behaviour
+ * @param schema - Root schema
+ * @param key - Rule key, e.g. "noRepeatColumns"
+ * @returns True if some rule declares the key (with any value)
+ */
+function ruleKeyDeclared(schema, key) {
+  const rules = schema["rules"];
+  if (!rules) {
+    return false;
+  }
+  if (!declaredRuleKeys.has(rules)) {
+    const keys = /* @__PURE__ */ new Set();
+    const collect = (node) => {
+      for (const value of Object.values(node)) {
+        if (value && value.constructor === Object) {
+          if ("selectors" in value) {
+            Object.keys(value).forEach((k) => keys.add(k));
+          } else {
+            collect(value);
+          }
+        }
+      }
+    };
+    collect(rules);
+    declaredRuleKeys.set(rules, keys);
+  }
+  return declaredRuleKeys.get(rules).has(key);
+}
+/**
+ * Reports a part of the schema that could not be parsed
+ * Each fault is reported once per validation run for its schema location and
+ * source text. Faults are errors, since the checks they describe were not
+ * applied and the dataset could not be fully validated.
+ *
+ * @param context - Current file context
+ * @param issue - Issue key, reason and evidence
+ * @param schemaPath - Location of the fault in the schema
+ * @param src - Source text that could not be parsed
+ */
+function reportSchemaFault(context, { key, reason, evidence }, schemaPath, src) {
+  const id = `${schemaPath}\0${src}`;
+  const reported = context.dataset.reportedSchemaFaults;
+  if (reported.has(id)) {
+    return;
+  }
+  reported.add(id);
+  context.issues.add({
+    key,
+    reason,
+    severity: "error",
+    files: [{ ...context.file, evidence }]
+  });
+}
+/**
+ * Evaluates a rule selector against the current context
+ * Selectors that cannot be parsed evaluate to false and are reported as
+ * schema faults (see reportSchemaFault)
+ *
+ * @param src - Selector source text
+ * @param context - Current file context
+ * @param schemaPath - Location of the rule in the schema
+ * @returns Result of the selector
+ */
+function evalCheck(src, context, schemaPath) {
+  const selector = parseSelectorCached(src);
+  if (selector.error) {
+    reportSchemaFault(context, {
+      key: "INVALID_SCHEMA_SELECTOR",
+      reason: "A rule selector in the schema could not be parsed, so the rule it belongs to was not applied. This is a problem with the schema rather than with your dataset.",
+      evidence: `Could not parse selector '${src}' at ${schemaPath}: ${selector.error}`
+    }, schemaPath, src);
     return false;
   }
+  return evalSelector(selector.expression, context);
 }
 var evalMap = {
   columnsMatchMetadata: evalColumns,
+  containsAllColumns: evalContainsAllColumns,
+  noRepeatColumns: evalRepeatedColumns,
+  jsonld: evalJsonLd,
   fields: evalJsonCheck
 };
 function evalRule(rule, context, schema, schemaPath) {
-  if (rule.selectors && !mapEvalCheck(rule.selectors, context)) {
+  if (rule.selectors && !mapEvalCheck(rule.selectors, context, schemaPath)) {
     return;
   }
-  Object.keys(rule).filter((key) => key in evalMap).map((key) => {
+  Object.keys(rule).filter((key) => key in evalMap && rule[key]).map((key) => {
     evalMap[key](rule, context, schema, schemaPath);
   });
 }
-function mapEvalCheck(statements, context) {
-  return statements.every((x) => evalCheck(x, context));
+function mapEvalCheck(statements, context, schemaPath) {
+  return statements.every((x) => evalCheck(x, context, schemaPath));
 }
 function evalColumns(_rule, context, schema, schemaPath) {
   if (context.extension !== ".csv")
     return;
   const headers = [...Object.keys(context.columns)];
-  context.dataset.allColumns = [.../* @__PURE__ */ new Set([...context.dataset.allColumns, ...headers])];
   let invalidHeaders = [];
   for (const header of headers) {
     if (!context.validColumns.includes(header)) {
@@ -5283,6 +6058,36 @@ function evalColumns(_rule, context, schema, schemaPath) {
       }
     ]);
   }
+}
+/**
+ * Records the variableMeasured entries of the compiled metadata
+ * Entries that never appear as a column in any CSV/TSV data file are
+ * reported once the whole dataset has been walked
+ */
+function evalContainsAllColumns(_rule, context, _schema, _schemaPath) {
+  for (const variable of context.validColumns) {
+    if (!context.dataset.measuredVariables.includes(variable)) {
+      context.dataset.measuredVariables.push(variable);
+    }
+  }
+}
+function evalRepeatedColumns(_rule, context, _schema, _schemaPath) {
+  if (context.repeatedColumns.length) {
+    reportRepeatedColumns(context);
+  }
+}
+function reportRepeatedColumns(context) {
+  context.issues.addSchemaIssue(
+    "CSVHeaderRepeated",
+    context.repeatedColumns.map(({ column, firstIndex, line, character }) => ({
+      ...context.file,
+      evidence: `Duplicate column header found: ${column} (first used as column ${firstIndex + 1})`,
+      line,
+      character
+    }))
+  );
+}
+function evalJsonLd(_rule, context, schema, _schemaPath) {
   const schemaOrgIssues = {
     "termIssues": [],
     "unknownNamespaceIssues": [],
@@ -5291,10 +6096,12 @@ function evalColumns(_rule, context, schema, schemaPath) {
   };
   schemaCheck(context, schema, schemaOrgIssues);
 }
-function evalJsonCheck(rule, context, _schema, schemaPath) {
+function evalJsonCheck(rule, context, schema, schemaPath) {
   const issueKeys = [];
+  const recommendedKeys = [];
   for (const [key, requirement] of Object.entries(rule.fields)) {
-    const severity = getFieldSeverity(requirement, context);
+    const addendum = matchLevelAddendum(requirement, context, `${schemaPath}.fields.${key}`);
+    const severity = getFieldSeverity(requirement, addendum);
     const keyName = `http://schema.org/${key}`;
     if (severity && severity !== "ignore" && !(keyName in context.expandedSidecar)) {
       if (requirement.issue?.code && requirement.issue?.message) {
@@ -5304,6 +6111,8 @@ function evalJsonCheck(rule, context, _schema, schemaPath) {
           severity,
           files: [{ ...context.file }]
         });
+      } else if (severity === "warning") {
+        recommendedKeys.push(addendum ? `${key} (${addendum.text})` : key);
       } else {
         issueKeys.push(key);
       }
@@ -5318,17 +6127,20 @@ function evalJsonCheck(rule, context, _schema, schemaPath) {
       }
     ]);
   }
+  if (recommendedKeys.length != 0) {
+    context.issues.addSchemaIssue("JsonKeyRecommended", [
+      {
+        ...context.file,
+        evidence: `metadata object missing recommended fields: [${recommendedKeys.join(", ")}] as per ${schemaPath}.`
+      }
+    ]);
+  }
 }
 function schemaCheck(context, schema, issues) {
   const schemaNamespace = "http://schema.org/";
   if ("@type" in context.expandedSidecar) {
     if (context.expandedSidecar["@type"][0] !== `${schemaNamespace}Dataset`) {
-      let issueFile2;
-      if (Object.keys(context.metadataProvenance).includes("@type")) {
-        issueFile2 = context.metadataProvenance["@type"];
-      } else {
-        issueFile2 = context.dataset.metadataFile;
-      }
+      const issueFile2 = metadataIssueFile(context, ".@type");
       context.issues.addSchemaIssue("IncorrectDatasetType", [
         {
           ...issueFile2,
@@ -5359,84 +6171,65 @@ function schemaCheck(context, schema, issues) {
   logSchemaIssues(context, issues);
 }
 function logSchemaIssues(context, issues) {
-  if (issues.termIssues.length != 0) {
-    issues.termIssues.forEach((issue) => {
-      const rootKey = issue.split(".")[1];
-      let issueFile2;
-      if (Object.keys(context.metadataProvenance).includes(rootKey)) {
-        issueFile2 = context.metadataProvenance[rootKey];
-      } else {
-        issueFile2 = context.dataset.metadataFile;
-      }
-      context.issues.addSchemaIssue("InvalidSchemaorgProperty", [
-        {
-          ...issueFile2,
-          evidence: `This file contains one or more keys that use the schema.org namespace, but are not official schema.org properties.
-            According to the psych-DS specification, this is not an error, but be advised that these terms will not be
-            machine-interpretable and do not function as linked data elements. These are the keys in question: [${issues.termIssues}]`
-        }
-      ]);
-    });
-  }
-  if (issues.typeIssues.length != 0) {
-    issues.typeIssues.forEach((issue) => {
-      const rootKey = issue.split(".")[1];
-      let issueFile2;
-      if (rootKey in context.metadataProvenance) {
-        issueFile2 = context.metadataProvenance[rootKey];
-      } else {
-        issueFile2 = context.dataset.metadataFile;
+  issues.termIssues.forEach((issue) => {
+    context.issues.addSchemaIssue("InvalidSchemaorgProperty", [
+      {
+        ...metadataIssueFile(context, issue),
+        evidence: `The key ${issue} uses the schema.org namespace, but is not an official schema.org property.
+            According to the psych-DS specification, this is not an error, but be advised that this term will not be
+            machine-interpretable and does not function as a linked data element.`
       }
-      context.issues.addSchemaIssue("InvalidObjectType", [
-        {
-          ...issueFile2,
-          evidence: `This file contains one or more objects with types that do not match the selectional constraints of their keys.
+    ]);
+  });
+  issues.typeIssues.forEach((issue) => {
+    context.issues.addSchemaIssue("InvalidObjectType", [
+      {
+        ...metadataIssueFile(context, issue),
+        evidence: `The object at ${issue} has a type that does not match the selectional constraints of its key.
             Each schema.org property (which take the form of keys in your metadata json) has a specific range of types
             that can be used as its value. Type constraints for a given property can be found by visiting their corresponding schema.org
-            URL. All properties can take strings or URLS as objects, under the assumption that the string/URL represents a unique ID.
-            Type selection errors occurred at the following locations in your json structure: [${issues.typeIssues}]`
-        }
-      ]);
-    });
-  }
-  if (issues.typeMissingIssues.length != 0) {
-    issues.typeMissingIssues.forEach((issue) => {
-      const rootKey = issue.split(".")[1];
-      let issueFile2;
-      if (Object.keys(context.metadataProvenance).includes(rootKey)) {
-        issueFile2 = context.metadataProvenance[rootKey];
-      } else {
-        issueFile2 = context.dataset.metadataFile;
+            URL. All properties can take strings or URLS as objects, under the assumption that the string/URL represents a unique ID.`
       }
-      context.issues.addSchemaIssue("ObjectTypeMissing", [
-        {
-          ...issueFile2,
-          evidence: `This file contains one or more objects without a @type property. Make sure that any object that you include
+    ]);
+  });
+  issues.typeMissingIssues.forEach((issue) => {
+    context.issues.addSchemaIssue("ObjectTypeMissing", [
+      {
+        ...metadataIssueFile(context, issue),
+        evidence: `The object at ${issue} has no @type property. Make sure that any object that you include
             as the value of a schema.org property contains a valid schema.org @type, unless it is functioning as some kind of 
-            base type, such as Text or URL, containing a @value key. @type is optional, but not required on such objects.
-            The following objects without @type were found: [${issues.typeMissingIssues}]`
-        }
-      ]);
-    });
-  }
-  if (issues.unknownNamespaceIssues.length != 0) {
-    issues.unknownNamespaceIssues.forEach((issue) => {
-      const rootKey = issue.split(".")[0];
-      let issueFile2;
-      if (Object.keys(context.metadataProvenance).includes(rootKey)) {
-        issueFile2 = context.metadataProvenance[rootKey];
-      } else {
-        issueFile2 = context.dataset.metadataFile;
+            base type, such as Text or URL, containing a @value key. @type is optional, but not required on such objects.`
       }
-      context.issues.addSchemaIssue("UnknownNamespace", [
-        {
-          ...issueFile2,
-          evidence: `This file contains one or more references to namespaces other than https://schema.org:
-            [${issues.unknownNamespaceIssues}].`
-        }
-      ]);
-    });
-  }
+    ]);
+  });
+  issues.unknownNamespaceIssues.forEach(({ objectPath, key }) => {
+    context.issues.addSchemaIssue("UnknownNamespace", [
+      {
+        ...metadataIssueFile(context, objectPath, key),
+        evidence: `The key ${key}${objectPath ? ` at ${objectPath}` : ""} refers to a namespace other than https://schema.org.`
+      }
+    ]);
+  });
+}
+/**
+ * Resolves the file, line and character a JSON-LD object path came from
+ * Top-level keys are attributed to the sidecar that set them, falling back to
+ * dataset_description.json
+ *
+ * @param context - File context whose merged metadata was checked
+ * @param objectPath - Object path as reported by _schemaCheck, e.g. ".author[1].affiliation"
+ * @param key - Expanded IRI of a key within that object, matched on its local name
+ * @returns Issue file entry, with line and character when the key could be found
+ */
+function metadataIssueFile(context, objectPath, key) {
+  const segments = parseObjectPath(objectPath);
+  if (key) {
+    segments.push({ name: key.split(/[/#:]/).filter(Boolean).at(-1) || key });
+  }
+  const rootKey = segments.length ? segments[0].name : "";
+  const file = Object.keys(context.metadataProvenance).includes(rootKey) ? context.metadataProvenance[rootKey] : context.dataset.metadataFile;
+  const position = file ? locateJSONPath(context.dataset.metadataPositions[file.path], segments) : null;
+  return position ? { ...file, ...position } : { ...file };
 }
 function _schemaCheck(node, context, schema, objectPath, nameSpace, issues) {
   let superClassSlots = [];
@@ -5455,7 +6248,7 @@ function _schemaCheck(node, context, schema, objectPath, nameSpace, issues) {
       continue;
     } else {
       if (!key.startsWith(nameSpace)) {
-        issues.unknownNamespaceIssues.push(key);
+        issues.unknownNamespaceIssues.push({ objectPath, key });
         continue;
       } else {
         const property = key.replace(nameSpace, "");
@@ -5494,20 +6287,20 @@ function _schemaCheck(node, context, schema, objectPath, nameSpace, issues) {
                 const objType = Array.isArray(obj["@type"]) ? obj["@type"][0].replace(nameSpace, "") : obj["@type"].replace(nameSpace, "");
                 if (![...range, "Text", "URL"].includes(objType)) {
                   issues.typeIssues.push(
-                    `${objectPath}.${property}${i === 0 ? "" : `[${i}]`}`
+                    `${objectPath}.${property}[${i}]`
                   );
                 }
                 issues = _schemaCheck(
                   obj,
                   context,
                   schema,
-                  `${objectPath}.${property}`,
+                  `${objectPath}.${property}[${i}]`,
                   nameSpace,
                   issues
                 );
               } else {
                 issues.typeMissingIssues.push(
-                  `${objectPath}.${property}${i === 0 ? "" : `[${i}]`}`
+                  `${objectPath}.${property}[${i}]`
                 );
               }
             }
@@ -5521,18 +6314,19 @@ function _schemaCheck(node, context, schema, objectPath, nameSpace, issues) {
 function getSuperClassSlots(type, schema, nameSpace) {
   type = type.replace(nameSpace, "");
   const cacheKey = `super:${type}`;
-  if (superClassSlotsCache.has(cacheKey)) {
-    return superClassSlotsCache.get(cacheKey);
+  const slotsCache = getSlotsCache(schema);
+  if (slotsCache.has(cacheKey)) {
+    return slotsCache.get(cacheKey);
   }
   const classesObj = schema["schemaOrg.classes"];
   if (!classesObj || !(type in classesObj)) {
-    superClassSlotsCache.set(cacheKey, []);
+    slotsCache.set(cacheKey, []);
     return [];
   }
   const slots = schema[`schemaOrg.classes.${type}.slots`] || [];
   const is_a = "is_a" in schema[`schemaOrg.classes.${type}`] ? getSuperClassSlots(schema[`schemaOrg.classes.${type}.is_a`], schema, nameSpace) : [];
   const result = [...slots, ...is_a];
-  superClassSlotsCache.set(cacheKey, result);
+  slotsCache.set(cacheKey, result);
   return result;
 }
 function getSubClassSlots(type, schema, nameSpace) {
@@ -5540,12 +6334,13 @@ function getSubClassSlots(type, schema, nameSpace) {
     type = type.replace(nameSpace, "");
   }
   const cacheKey = `sub:${type}`;
-  if (subClassSlotsCache.has(cacheKey)) {
-    return subClassSlotsCache.get(cacheKey);
+  const slotsCache = getSlotsCache(schema);
+  if (slotsCache.has(cacheKey)) {
+    return slotsCache.get(cacheKey);
   }
   const classesObj = schema[`schemaOrg.classes`];
   if (!classesObj || !(type in classesObj)) {
-    subClassSlotsCache.set(cacheKey, []);
+    slotsCache.set(cacheKey, []);
     return [];
   }
   const subClasses = [];
@@ -5555,12 +6350,12 @@ function getSubClassSlots(type, schema, nameSpace) {
       subClasses.push(...getSubClassSlots(key, schema, nameSpace));
     }
   }
-  subClassSlotsCache.set(cacheKey, subClasses);
+  slotsCache.set(cacheKey, subClasses);
   return subClasses;
 }
-function getFieldSeverity(requirement, context) {
+function getFieldSeverity(requirement, addendum) {
   const levelToSeverity = {
-    recommended: "ignore",
+    recommended: "warning",
     required: "error",
     optional: "ignore",
     prohibited: "ignore"
@@ -5570,19 +6365,109 @@ function getFieldSeverity(requirement, context) {
     severity = levelToSeverity[requirement];
   } else if (typeof requirement === "object" && requirement.level) {
     severity = levelToSeverity[requirement.level];
-    const addendumRegex = /(required|recommended) if \`(\w+)\` is \`(\w+)\`/;
-    if (requirement.level_addendum) {
-      const match = addendumRegex.exec(requirement.level_addendum);
-      if (match && match.length === 4) {
-        const [_, addendumLevel, key, value] = match;
-        if (key in context.sidecar && context.sidecar[key] === value) {
-          severity = levelToSeverity[addendumLevel];
-        }
-      }
+    if (addendum) {
+      severity = levelToSeverity[addendum.level];
     }
   }
   return severity;
 }
+/**
+ * Finds the level_addendum condition of a field requirement that applies
+ * to the current context, if any
+ * Addenda that cannot be parsed are reported as schema faults (see
+ * reportSchemaFault)
+ *
+ * @param requirement - Field requirement from the schema
+ * @param context - Current file context
+ * @param schemaPath - Location of the requirement in the schema
+ * @returns Level and condition text of the applied addendum, or null
+ */
+function matchLevelAddendum(requirement, context, schemaPath) {
+  if (typeof requirement !== "object" || !requirement.level_addendum) {
+    return null;
+  }
+  const addendum = parseLevelAddendumCached(requirement.level_addendum);
+  if (addendum.error) {
+    reportSchemaFault(context, {
+      key: "INVALID_LEVEL_ADDENDUM",
+      reason: "A level_addendum in the schema could not be parsed, so the conditional requirement it describes was not checked. This is a problem with the schema rather than with your dataset.",
+      evidence: `Could not parse level_addendum "${addendum.text}" at ${schemaPath}: ${addendum.error}`
+    }, schemaPath, addendum.text);
+    return null;
+  }
+  if (evalAddendumCondition(addendum.condition, context)) {
+    return { level: addendum.level, text: addendum.text };
+  }
+  return null;
+}
+
+// src/summary/variableDrafts.ts
+var MAX_CATEGORICAL_LEVELS = 20;
+var draftValueTypes = {
+  Integer: "integer",
+  Number: "number",
+  Boolean: "boolean",
+  Date: "date",
+  DateTime: "datetime"
+};
+var NUMERIC_VALUE_TYPES = ["Integer", "Number"];
+/**
+ * Infers the data dictionary type of a column
+ * The first of INFERRED_VALUE_TYPES that every non-missing value is valid for
+ * wins (so 0/1 columns are integers), except that columns with zero-padded
+ * values such as "01" hold codes rather than numbers. Other columns are
+ * categorical when they have 2 to MAX_CATEGORICAL_LEVELS distinct values and
+ * at least one repeats, and strings otherwise.
+ *
+ * @param stats - ColumnStats of the column
+ * @returns Type as used in valueType, or undefined when every value is missing
+ */
+function inferValueType(stats) {
+  const present = stats.count - stats.missing;
+  if (present === 0) {
+    return void 0;
+  }
+  const type = INFERRED_VALUE_TYPES.find(
+    (candidate) => stats.valueTypes.has(candidate) && !(stats.leadingZeros && NUMERIC_VALUE_TYPES.includes(candidate))
+  );
+  if (type) {
+    return draftValueTypes[type];
+  }
+  const levels = stats.values.size;
+  return !stats.valuesTruncated && levels >= 2 && levels <= MAX_CATEGORICAL_LEVELS && levels < present ? "categorical" : "string";
+}
+/**
+ * Drafts variableMeasured entries from parsed CSV/TSV columns
+ *
+ * Each draft is a PropertyValue in the shape the data dictionary writes:
+ *   { "@type": "PropertyValue", name, valueType?, minValue?, maxValue?,
+ *     valueReference? }
+ * with the observed minValue/maxValue for integer and number columns and the
+ * observed levels, as { "@type": "PropertyValue", value }, for categorical
+ * ones. Drafts can be merged into the variableMeasured of
+ * dataset_description.json by name.
+ *
+ * @param columns - Column headers mapped to their ColumnStats, e.g. context.columns
+ * @param options - exclude: names to skip, e.g. columns already in variableMeasured
+ * @returns Draft PropertyValue objects, in column order
+ */
+function draftVariableMeasured(columns, { exclude = [] } = {}) {
+  return Object.entries(columns).filter(([name]) => !exclude.includes(name)).map(([name, stats]) => {
+    const draft = { "@type": "PropertyValue", name };
+    const valueType = inferValueType(stats);
+    if (valueType) {
+      draft.valueType = valueType;
+    }
+    if (valueType === "integer" || valueType === "number") {
+      draft.minValue = stats.min;
+      draft.maxValue = stats.max;
+    }
+    if (valueType === "categorical") {
+      draft.valueReference = [...stats.values].sort((a, b) => a.localeCompare(b, void 0, { numeric: true })).map((value) => ({ "@type": "PropertyValue", value }));
+    }
+    return draft;
+  });
+}
 
 // src/summary/summary.ts
 var Summary = class {
@@ -5595,11 +6480,16 @@ var Summary = class {
     this.size = 0;
     this.dataTypes = /* @__PURE__ */ new Set();
     this.schemaVersion = "";
+    this.schemaSource = { source: "", location: "" };
     this.suggestedColumns = [];
+    this.files = [];
+    this.missingness = {};
+    this.columnStats = {};
   }
   /**
    * Updates summary information with data from a new context
-   * Tracks file counts, sizes, and data types
+   * Tracks file counts, sizes, data types and, for CSV/TSV files, the share of
+   * missing values per column and each column's ColumnStats merged across files
    *
    * @param context - Current validation context to process
    * @returns Promise that resolves when update is complete
@@ -5609,10 +6499,23 @@ var Summary = class {
       return;
     }
     this.totalFiles++;
+    this.files.push(context.file.path);
     this.size += await context.file.size;
     if (context.datatype.length) {
       this.dataTypes.add(context.datatype);
     }
+    if ((context.extension === ".csv" || context.extension === ".tsv") && context.columns) {
+      const columns = {};
+      for (const [header, stats] of Object.entries(context.columns)) {
+        columns[header] = {
+          count: stats.count,
+          missing: stats.missing,
+          rate: stats.count ? stats.missing / stats.count : 0
+        };
+        this.columnStats[header] = (this.columnStats[header] || new ColumnStats()).merge(stats);
+      }
+      this.missingness[context.file.path] = columns;
+    }
   }
   /**
    * Formats the summary data for output
@@ -5627,7 +6530,11 @@ var Summary = class {
       dataProcessed: this.dataProcessed,
       dataTypes: Array.from(this.dataTypes),
       schemaVersion: this.schemaVersion,
-      suggestedColumns: this.suggestedColumns
+      schemaSource: this.schemaSource,
+      suggestedColumns: this.suggestedColumns,
+      files: this.files,
+      missingness: this.missingness,
+      variableMeasuredDrafts: draftVariableMeasured(this.columnStats)
     };
   }
 };
@@ -5653,29 +6560,30 @@ var objectPathHandler = {
 // src/setup/loadSchema.ts
 var SCHEMA_BASE_URL = "https://raw.githubusercontent.com/psych-ds/psych-DS/master/schema_model/versions/jsons";
 var SCHEMA_ORG_URL = "https://raw.githubusercontent.com/psych-ds/psych-DS/master/schema_model/external_schemas/schemaorg/schemaorg.json";
+var SCHEMA_REGISTRY_FILE = "schemaRegistry.json";
 var cachedSchema = null;
+var cachedRegistry = null;
 var defaultSchema = {};
 var defaultSchemaOrg = {};
 async function loadDefaultSchemas() {
   try {
-    if (isBrowser) {
-      defaultSchema = await fetchJSON("/defaultSchema.json") || {};
-      defaultSchemaOrg = await fetchJSON("/defaultSchemaOrg.json") || {};
-    } else {
-      const dirname = getDirname();
-      defaultSchema = JSON.parse(
-        await readFile(path.join(dirname, "defaultSchema.json"))
-      );
-      defaultSchemaOrg = JSON.parse(
-        await readFile(path.join(dirname, "defaultSchemaOrg.json"))
-      );
-    }
+    defaultSchema = await readBundledJSON("defaultSchema.json") || {};
+    defaultSchemaOrg = await readBundledJSON("defaultSchemaOrg.json") || {};
   } catch (error2) {
     console.error("Error loading default schemas:", error2);
     defaultSchema = {};
     defaultSchemaOrg = {};
   }
 }
+function bundledLocation(fileName) {
+  return isBrowser ? `/${fileName}` : path.join(getDirname(), fileName);
+}
+async function readBundledJSON(fileName) {
+  if (isBrowser) {
+    return await fetchJSON(bundledLocation(fileName));
+  }
+  return JSON.parse(await readFile(bundledLocation(fileName)));
+}
 function getDirname() {
   if (isNode && typeof __dirname !== "undefined") {
     return __dirname;
@@ -5699,49 +6607,259 @@ async function fetchJSON(url) {
     return null;
   }
 }
-async function loadSchema(version = "latest") {
-  if (cachedSchema && cachedSchema.version === version) {
-    return new Proxy(cachedSchema.schema, objectPathHandler);
+/**
+ * Determines whether schemas must be resolved without network access
+ * @param options - Validator options
+ * @returns True if only bundled schemas may be used
+ */
+function isOfflineSchemaSource(options) {
+  return !!options && (options.offline === true || options.schemaSource === "bundled");
+}
+/**
+ * Loads the registry of schema versions bundled with the validator
+ * The registry maps "X.Y.Z" version strings to the bundled schema files
+ * @returns Registry object with "latest" and "versions" keys
+ */
+async function loadSchemaRegistry() {
+  if (!cachedRegistry) {
+    let registry = null;
+    try {
+      registry = await readBundledJSON(SCHEMA_REGISTRY_FILE);
+    } catch (error2) {
+      console.error("Error loading schema registry:", error2);
+    }
+    cachedRegistry = registry && registry.versions ? registry : { latest: "", versions: {} };
+  }
+  return cachedRegistry;
+}
+/**
+ * Resolves a schema version against the bundled registry
+ * @param version - "latest" or an "X.Y.Z" version string
+ * @returns Bundled schema, schemaOrg and resolved version
+ * @throws {Error} If the version is not bundled
+ */
+async function loadBundledSchema(version) {
+  const registry = await loadSchemaRegistry();
+  const resolved = version === "latest" ? registry.latest : version;
+  const entry = registry.versions[resolved];
+  if (!entry) {
+    throw new Error(
+      `Schema version '${version}' is not bundled with this validator. Bundled versions: [${Object.keys(registry.versions).join(", ")}]`
+    );
+  }
+  const schemaModule = await readBundledJSON(entry.schema);
+  const schemaOrgModule = await readBundledJSON(entry.schemaOrg);
+  if (!schemaModule || !schemaOrgModule) {
+    throw new Error(`Bundled schema files for version '${resolved}' could not be read`);
+  }
+  return {
+    schemaModule,
+    schemaOrgModule,
+    version: resolved,
+    location: bundledLocation(entry.schema),
+    schemaOrgJsonLD: entry.schemaOrgJsonLD
+  };
+}
+/**
+ * Gets the bundled schema.org JSON-LD context file that goes with a schema
+ * Uses the registry entry the schema was loaded from; schemas from other
+ * sources use the entry of their version, or the latest one.
+ *
+ * @param schema - Loaded schema
+ * @returns File name of the bundled context, for readBundledJSON
+ */
+async function bundledSchemaOrgJsonLD(schema) {
+  if (schema["schema_source.schemaOrgJsonLD"]) {
+    return schema["schema_source.schemaOrgJsonLD"];
+  }
+  const registry = await loadSchemaRegistry();
+  const entry = registry.versions[schema.schema_version] || registry.versions[registry.latest];
+  return entry && entry.schemaOrgJsonLD ? entry.schemaOrgJsonLD : "defaultSchemaOrgJsonLD.json";
+}
+function combineSchema(schemaModule, schemaOrgModule, version, source, location, schemaOrgJsonLD) {
+  return {
+    ...schemaModule,
+    schemaOrg: schemaOrgModule,
+    schema_version: schemaModule.schema_version || version,
+    schema_source: { source, location, ...schemaOrgJsonLD ? { schemaOrgJsonLD } : {} }
+  };
+}
+/**
+ * Normalizes the schemaSource option into a source descriptor
+ * Accepts "remote" (default), "bundled", or an object with one of
+ * "baseUrl" (mirror laid out as <baseUrl>/<version>/schema.json),
+ * "directory" (same layout on disk) or "schema" (an already-parsed schema)
+ *
+ * @param options - Validator options
+ * @returns Source descriptor with a "type" key
+ * @throws {Error} If the schemaSource option is not recognized
+ */
+function normalizeSchemaSource(options) {
+  const source = options ? options.schemaSource : void 0;
+  if (source && typeof source === "object") {
+    if ("schema" in source) {
+      return { ...source, type: "object" };
+    } else if ("directory" in source) {
+      return { ...source, type: "directory" };
+    } else if ("baseUrl" in source) {
+      return { ...source, type: "url" };
+    }
+    throw new Error(
+      `Unrecognized schemaSource object. Expected one of the keys "baseUrl", "directory" or "schema".`
+    );
+  }
+  if (isOfflineSchemaSource(options)) {
+    return { type: "bundled" };
+  }
+  if (source === void 0 || source === "remote") {
+    return { type: "remote" };
   }
+  throw new Error(
+    `Unrecognized schemaSource '${source}'. Use "remote", "bundled" or a schema source object.`
+  );
+}
+function schemaCacheKey(source, version) {
+  switch (source.type) {
+    case "url":
+      return `url:${source.baseUrl}|${source.schemaOrgUrl || ""}:${version}`;
+    case "directory":
+      return `directory:${source.directory}|${source.schemaOrgPath || ""}:${version}`;
+    case "object":
+      return null;
+    default:
+      return `${source.type}:${version}`;
+  }
+}
+async function readJSONFile(filePath) {
+  try {
+    return JSON.parse(await readFile(filePath));
+  } catch (error2) {
+    console.error(`Error reading JSON from ${filePath}:`, error2);
+    return null;
+  }
+}
+async function loadRemoteSchema(version) {
   if (Object.keys(defaultSchema).length === 0 || Object.keys(defaultSchemaOrg).length === 0) {
     await loadDefaultSchemas();
   }
+  const schemaUrl = `${SCHEMA_BASE_URL}/${version}/schema.json`;
+  let schemaModule = await fetchJSON(schemaUrl);
+  let schemaOrgModule = await fetchJSON(`${SCHEMA_ORG_URL}?v=${Date.now()}`);
+  let source = "remote";
+  let location = schemaUrl;
+  let resolvedVersion = version;
+  let schemaOrgJsonLD;
+  if (!schemaModule) {
+    console.warn(
+      `Failed to fetch schema from ${schemaUrl}, using bundled schema`
+    );
+    const bundled = await loadBundledSchema(version).catch(() => loadBundledSchema("latest"));
+    schemaModule = bundled.schemaModule;
+    source = "bundled";
+    location = bundled.location;
+    resolvedVersion = bundled.version;
+    schemaOrgJsonLD = bundled.schemaOrgJsonLD;
+  }
+  if (!schemaOrgModule) {
+    console.warn(`Failed to fetch schemaOrg, using default schemaOrg`);
+    schemaOrgModule = defaultSchemaOrg;
+  }
+  return combineSchema(schemaModule, schemaOrgModule, resolvedVersion, source, location, schemaOrgJsonLD);
+}
+/**
+ * Loads a schema from a user-supplied source (URL mirror, directory or object)
+ * Custom sources never fall back to the bundled schema, since a silent
+ * fallback would drop any rules specific to the custom schema
+ *
+ * @param source - Normalized source descriptor
+ * @param version - Requested schema version
+ * @returns Combined schema object
+ * @throws {Error} If the schema cannot be loaded from the source
+ */
+async function loadCustomSchema(source, version) {
+  let schemaModule = null;
+  let schemaOrgModule = null;
+  let location;
+  if (source.type === "object") {
+    if (!source.schema || typeof source.schema !== "object") {
+      throw new Error(`schemaSource.schema must be a parsed schema object`);
+    }
+    location = "object";
+    schemaModule = source.schema;
+    schemaOrgModule = source.schemaOrg || source.schema.schemaOrg || null;
+  } else if (source.type === "url") {
+    location = `${source.baseUrl.replace(/\/+$/, "")}/${version}/schema.json`;
+    schemaModule = await fetchJSON(location);
+    if (source.schemaOrgUrl) {
+      schemaOrgModule = await fetchJSON(source.schemaOrgUrl);
+    }
+  } else {
+    location = path.join(source.directory, version, "schema.json");
+    schemaModule = await readJSONFile(location);
+    if (source.schemaOrgPath) {
+      schemaOrgModule = await readJSONFile(source.schemaOrgPath);
+    }
+  }
+  if (!schemaModule) {
+    throw new Error(`Unable to load schema from ${location}`);
+  }
+  if (!schemaOrgModule) {
+    if (Object.keys(defaultSchemaOrg).length === 0) {
+      await loadDefaultSchemas();
+    }
+    schemaOrgModule = defaultSchemaOrg;
+  }
+  return combineSchema(schemaModule, schemaOrgModule, version, source.type, location);
+}
+async function loadSchema(version = "latest", options = {}) {
   const versionRegex = /^\d+\.\d+\.\d+$/;
   if (version !== "latest" && !versionRegex.test(version)) {
     throw new Error(
       `Invalid version format. Please use 'latest' or 'X.Y.Z' format (e.g., '1.0.0').`
     );
   }
-  const schemaUrl = `${SCHEMA_BASE_URL}/${version}/schema.json`;
-  let schemaModule;
-  let schemaOrgModule;
-  try {
-    schemaModule = await fetchJSON(schemaUrl);
-    schemaOrgModule = await fetchJSON(`${SCHEMA_ORG_URL}?v=${Date.now()}`);
-    if (!schemaModule) {
-      console.warn(
-        `Failed to fetch schema from ${schemaUrl}, using default schema`
+  const source = normalizeSchemaSource(options);
+  const cacheKey = schemaCacheKey(source, version);
+  if (cacheKey && cachedSchema && cachedSchema.key === cacheKey) {
+    return new Proxy(cachedSchema.schema, objectPathHandler);
+  }
+  let combinedSchema;
+  if (source.type === "bundled") {
+    const bundled = await loadBundledSchema(version);
+    combinedSchema = combineSchema(
+      bundled.schemaModule,
+      bundled.schemaOrgModule,
+      bundled.version,
+      "bundled",
+      bundled.location,
+      bundled.schemaOrgJsonLD
+    );
+  } else if (source.type === "remote") {
+    try {
+      combinedSchema = await loadRemoteSchema(version);
+    } catch (error2) {
+      console.error(`Error loading schema: ${error2}`);
+      console.warn("Falling back to default schema");
+      const registry = await loadSchemaRegistry();
+      return new Proxy(
+        combineSchema(
+          defaultSchema,
+          defaultSchemaOrg,
+          registry.latest,
+          "bundled",
+          bundledLocation("defaultSchema.json"),
+          registry.versions[registry.latest]?.schemaOrgJsonLD
+        ),
+        objectPathHandler
       );
-      schemaModule = defaultSchema;
     }
-    if (!schemaOrgModule) {
-      console.warn(`Failed to fetch schemaOrg, using default schemaOrg`);
-      schemaOrgModule = defaultSchemaOrg;
-    }
-    const combinedSchema = {
-      ...schemaModule,
-      schemaOrg: schemaOrgModule
-    };
-    cachedSchema = { schema: combinedSchema, version };
-    return new Proxy(combinedSchema, objectPathHandler);
-  } catch (error2) {
-    console.error(`Error loading schema: ${error2}`);
-    console.warn("Falling back to default schema");
-    return new Proxy(
-      { ...defaultSchema, schemaOrg: defaultSchemaOrg },
-      objectPathHandler
-    );
+  } else {
+    combinedSchema = await loadCustomSchema(source, version);
+  }
+  if (cacheKey) {
+    cachedSchema = { schema: combinedSchema, key: cacheKey };
   }
+  return new Proxy(combinedSchema, objectPathHandler);
 }
 
 // src/types/columns.ts
@@ -5752,6 +6870,113 @@ var ColumnsMap = class extends Map {
     return columns;
   }
 };
+var MAX_COLUMN_VALUES = 100;
+var valueTypes = {
+  Integer: (value) => /^[+-]?\d+$/.test(value.trim()),
+  Number: (value) => value.trim() !== "" && Number.isFinite(Number(value)),
+  Float: (value) => value.trim() !== "" && Number.isFinite(Number(value)),
+  Boolean: (value) => /^(true|false|0|1)$/i.test(value.trim()),
+  Date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value.trim()) && !Number.isNaN(Date.parse(value.trim())),
+  DateTime: (value) => /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/.test(value.trim()) && !Number.isNaN(Date.parse(value.trim())),
+  Time: (value) => /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(value.trim()),
+  Text: () => true
+};
+var INFERRED_VALUE_TYPES = ["Integer", "Number", "Boolean", "Date", "DateTime"];
+var isDefaultMissingValue = (value) => value === "" || value === "NA";
+var ColumnStats = class {
+  /**
+   * Summary statistics of one CSV/TSV column, collected while the file streams
+   * so that cell values do not need to be kept in memory
+   * @param isMissing - Tells whether a cell is a missing value (see
+   *   missingValueTest); defaults to empty cells and "NA"
+   */
+  constructor(isMissing = isDefaultMissingValue) {
+    this.isMissing = isMissing;
+    this.count = 0;
+    this.empty = 0;
+    this.missing = 0;
+    this.numeric = 0;
+    this.min = void 0;
+    this.max = void 0;
+    this.values = /* @__PURE__ */ new Set();
+    this.valuesTruncated = false;
+    this.valueTypes = new Set(INFERRED_VALUE_TYPES);
+    this.leadingZeros = 0;
+  }
+  /**
+   * Adds one cell of the column
+   * Missing values (empty cells and declared missing-value codes) are only
+   * counted. Distinct values are kept up to MAX_COLUMN_VALUES; valuesTruncated
+   * records whether any were dropped. valueTypes keeps the types of
+   * INFERRED_VALUE_TYPES that every value so far is valid for, and
+   * leadingZeros counts numbers written with leading zeros, such as "01".
+   *
+   * @param value - Raw cell text
+   */
+  add(value) {
+    this.count++;
+    if (value === "") {
+      this.empty++;
+    }
+    if (this.isMissing(value)) {
+      this.missing++;
+      return;
+    }
+    for (const type of this.valueTypes) {
+      if (!valueTypes[type](value)) {
+        this.valueTypes.delete(type);
+      }
+    }
+    const number = Number(value);
+    if (value.trim() !== "" && Number.isFinite(number)) {
+      this.numeric++;
+      if (/^[+-]?0\d/.test(value.trim())) {
+        this.leadingZeros++;
+      }
+      this.min = this.min === void 0 ? number : Math.min(this.min, number);
+      this.max = this.max === void 0 ? number : Math.max(this.max, number);
+    }
+    if (!this.values.has(value)) {
+      if (this.values.size < MAX_COLUMN_VALUES) {
+        this.values.add(value);
+      } else {
+        this.valuesTruncated = true;
+      }
+    }
+  }
+  /**
+   * Adds the statistics of the same column in another file
+   * @param other - ColumnStats to merge into this one
+   * @returns This ColumnStats
+   */
+  merge(other) {
+    this.count += other.count;
+    this.empty += other.empty;
+    this.missing += other.missing;
+    this.numeric += other.numeric;
+    this.leadingZeros += other.leadingZeros;
+    if (other.min !== void 0) {
+      this.min = this.min === void 0 ? other.min : Math.min(this.min, other.min);
+    }
+    if (other.max !== void 0) {
+      this.max = this.max === void 0 ? other.max : Math.max(this.max, other.max);
+    }
+    for (const value of other.values) {
+      if (this.values.size < MAX_COLUMN_VALUES) {
+        this.values.add(value);
+      } else if (!this.values.has(value)) {
+        this.valuesTruncated = true;
+      }
+    }
+    this.valuesTruncated ||= other.valuesTruncated;
+    for (const type of this.valueTypes) {
+      if (!other.valueTypes.has(type)) {
+        this.valueTypes.delete(type);
+      }
+    }
+    return this;
+  }
+};
 
 // src/schema/elements.ts
 function _readElements(filename) {
@@ -5775,95 +7000,588 @@ function _readElements(filename) {
 }
 var readElements = memoize(_readElements);
 
+// src/utils/abort.ts
+var ValidationAbortedError = class extends Error {
+  /**
+   * Raised when a validation run is cancelled through its AbortSignal
+   * @param reason - The abort reason of the signal, if any
+   */
+  constructor(reason) {
+    super("Validation was aborted");
+    this.name = "AbortError";
+    this.reason = reason;
+  }
+};
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw new ValidationAbortedError(signal.reason);
+  }
+}
+function nextTask() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
 // src/files/csv.ts
 var normalizeEOL = (str) => str.replace(/\r\n/g, "\n").replace(/\r/g, "\n");
 var cachedParse = null;
+var CSV_PARSE_CHUNK_SIZE = 1 << 20;
+var MAX_CSV_ROW_ISSUES = 100;
+var MAX_TRACKED_ROW_IDS = 1e6;
 async function getParser() {
   if (!cachedParse) {
     cachedParse = isBrowser ? (await Promise.resolve().then(() => (init_sync(), sync_exports))).parse : (await Promise.resolve().then(() => (init_sync2(), sync_exports2))).parse;
   }
   return cachedParse;
 }
-async function parseCSV(contents, extension = ".csv") {
+function fieldPosition(raw, delimiter, index) {
+  let line = 0;
+  let character = 1;
+  let field = 0;
+  let quoting = false;
+  for (let k = 0; k < raw.length; k++) {
+    if (field === index)
+      return { line, character };
+    const chr = raw[k];
+    if (chr === '"') {
+      quoting = !quoting;
+    } else if (chr === "\n") {
+      if (!quoting)
+        break;
+      line++;
+      character = 0;
+    } else if (chr === delimiter && !quoting) {
+      field++;
+    }
+    character++;
+  }
+  return { line, character };
+}
+function errorPosition(error2) {
+  const position = {};
+  if (typeof error2.lines === "number") {
+    position.line = error2.lines;
+  }
+  if (typeof error2.raw === "string" && error2.raw.length) {
+    position.character = error2.raw.length - (error2.raw.slice(0, -1).lastIndexOf("\n") + 1);
+  }
+  return position;
+}
+async function* csvBlocks(chunks, size) {
+  let pending = "";
+  let carry = "";
+  let start = 0;
+  let scanned = 0;
+  let newlines = 0;
+  let line = 1;
+  let quoting = false;
+  for await (const chunk of chunks) {
+    const text = carry + chunk;
+    carry = text.endsWith("\r") ? "\r" : "";
+    pending += normalizeEOL(carry ? text.slice(0, -1) : text);
+    for (; scanned < pending.length; scanned++) {
+      const chr = pending[scanned];
+      if (chr === '"') {
+        quoting = !quoting;
+      } else if (chr === "\n") {
+        newlines++;
+        if (!quoting && scanned + 1 - start >= size) {
+          yield { text: pending.slice(start, scanned + 1), line };
+          start = scanned + 1;
+          line = newlines + 1;
+        }
+      }
+    }
+    pending = pending.slice(start);
+    scanned -= start;
+    start = 0;
+  }
+  const rest = carry ? `${pending}\n` : pending;
+  if (rest.length || line === 1) {
+    yield { text: rest, line };
+  }
+}
+/**
+ * Parses a CSV/TSV file record by record and runs the header, column-count
+ * and row_id checks as it goes.
+ * Memory use does not grow with the number of rows: each row issue is listed
+ * for at most MAX_CSV_ROW_ISSUES rows and only counted beyond that (as one
+ * { issue, unlisted } entry with the number of further rows), and
+ * row_id values are remembered for the first MAX_TRACKED_ROW_IDS distinct
+ * ids; a repeat of an id seen after that limit is not detected.
+ *
+ * @param chunks - File text, or an (async) iterable of text chunks
+ * @param extension - ".csv" or ".tsv"
+ * @param options - signal: AbortSignal; onRow: called for each row with the
+ *   expected number of cells; missingValues: returns the missing-value test of
+ *   a header
+ * @returns Columns (ColumnStats per header), issues and repeated header cells,
+ *   each { column, firstIndex, line, character }
+ */
+async function parseCSV(chunks, extension = ".csv", { signal, onRow, missingValues } = {}) {
   const columns = new ColumnsMap();
   const issues = [];
-  const normalizedStr = normalizeEOL(contents);
+  const rowIssueCounts = /* @__PURE__ */ new Map();
+  const addRowIssue = (issue) => {
+    const count = (rowIssueCounts.get(issue.issue) || 0) + 1;
+    rowIssueCounts.set(issue.issue, count);
+    if (count <= MAX_CSV_ROW_ISSUES) {
+      issues.push(issue);
+    }
+  };
+  const repeatedColumns = [];
   const delimiter = extension === ".tsv" ? "	" : ",";
   const formatName = extension === ".tsv" ? "TSV" : "CSV";
+  let headers = null;
+  let columnStats = [];
+  let rowIdIndex = -1;
+  const rowIdLines = /* @__PURE__ */ new Map();
+  let dataRows = 0;
+  let lineOffset = 0;
+  const locate = (row, index) => {
+    const { line, character } = fieldPosition(row.raw, delimiter, index);
+    return { line: row.line + line, character };
+  };
   try {
+    throwIfAborted(signal);
     const parse3 = await getParser();
-    const rows = parse3(normalizedStr, {
-      skip_empty_lines: false,
-      relax_column_count: true,
-      delimiter
-    });
-    const headers = rows.length ? rows[0] : [];
-    if (new Set(headers).size !== headers.length) {
-      const seen = /* @__PURE__ */ new Set();
-      const duplicates = /* @__PURE__ */ new Set();
-      for (const h of headers) {
-        if (seen.has(h))
-          duplicates.add(h);
-        seen.add(h);
-      }
-      issues.push({
-        issue: "CSVHeaderRepeated",
-        message: `Duplicate column headers found: [${[...duplicates].join(", ")}]`
-      });
-    }
-    if (headers.length === 0) {
-      issues.push({ issue: "CSVHeaderMissing", message: `${formatName} file contains no headers` });
-    } else {
-      const numDataRows = rows.length - 1;
-      headers.forEach((header) => {
-        columns[header] = new Array(numDataRows);
+    const blocks = csvBlocks(typeof chunks === "string" ? [chunks] : chunks, CSV_PARSE_CHUNK_SIZE);
+    for await (const block of blocks) {
+      if (block.line > 1) {
+        await nextTask();
+        throwIfAborted(signal);
+      }
+      lineOffset = block.line - 1;
+      const records = parse3(block.text, {
+        skip_empty_lines: false,
+        relax_column_count: true,
+        info: true,
+        raw: true,
+        delimiter
       });
-      let validRowIndex = 0;
-      for (let i = 1; i < rows.length; i++) {
-        const row = rows[i];
-        if (row.length !== headers.length) {
-          issues.push({
+      let previousLine = lineOffset;
+      for (const { record, raw, info: info3 } of records) {
+        const row = { record, raw, line: previousLine + 1 };
+        previousLine = lineOffset + info3.lines;
+        if (headers === null) {
+          headers = record;
+          const seen = /* @__PURE__ */ new Map();
+          headers.forEach((h, index) => {
+            if (seen.has(h)) {
+              repeatedColumns.push({ column: h, firstIndex: seen.get(h), ...locate(row, index) });
+            } else {
+              seen.set(h, index);
+            }
+          });
+          columnStats = headers.map((header) => columns[header] = new ColumnStats(missingValues?.(header)));
+          rowIdIndex = headers.lastIndexOf("row_id");
+          continue;
+        }
+        dataRows++;
+        if (record.length !== headers.length) {
+          addRowIssue({
             issue: "CSVHeaderLengthMismatch",
-            message: `Row ${i + 1} has ${row.length} columns, expected ${headers.length}`
+            message: `Row ${dataRows + 1} has ${record.length} columns, expected ${headers.length}`,
+            ...locate(row, Math.min(record.length, headers.length))
           });
-        } else {
-          for (let j = 0; j < headers.length; j++) {
-            columns[headers[j]][validRowIndex] = row[j];
-          }
-          validRowIndex++;
+          continue;
         }
-      }
-      if (validRowIndex < numDataRows) {
-        headers.forEach((header) => {
-          columns[header].length = validRowIndex;
-        });
-      }
-      if (columns["row_id"] && Array.isArray(columns["row_id"])) {
-        const rowIds = columns["row_id"];
-        const rowIdSet = new Set(rowIds);
-        if (rowIdSet.size !== rowIds.length) {
-          const seen = /* @__PURE__ */ new Set();
-          const duplicates = /* @__PURE__ */ new Set();
-          for (const id of rowIds) {
-            if (seen.has(id))
-              duplicates.add(id);
-            seen.add(id);
-          }
-          issues.push({
-            issue: "RowidValuesNotUnique",
-            message: `Duplicate row_id values found: [${[...duplicates].join(", ")}]`
+        for (let j = 0; j < headers.length; j++) {
+          columnStats[j].add(record[j]);
+        }
+        if (onRow) {
+          const values = {};
+          headers.forEach((header, j) => {
+            values[header] = record[j];
           });
+          onRow({
+            line: row.line,
+            values,
+            locate: (header) => locate(row, headers.lastIndexOf(header))
+          });
+        }
+        if (rowIdIndex !== -1) {
+          const id = record[rowIdIndex];
+          const position = locate(row, rowIdIndex);
+          if (rowIdLines.has(id)) {
+            addRowIssue({
+              issue: "RowidValuesNotUnique",
+              message: `Duplicate row_id value ${id} (first seen on line ${rowIdLines.get(id)})`,
+              ...position
+            });
+          } else if (rowIdLines.size < MAX_TRACKED_ROW_IDS) {
+            rowIdLines.set(id, position.line);
+          }
         }
       }
     }
+    if (!headers?.length) {
+      issues.push({ issue: "CSVHeaderMissing", message: `${formatName} file contains no headers` });
+    }
   } catch (error2) {
+    if (error2 instanceof ValidationAbortedError) {
+      throw error2;
+    }
+    const position = errorPosition(error2);
+    let message = error2.message;
+    if (lineOffset > 0) {
+      position.line = position.line && position.line + lineOffset;
+      message = message.replace(/\bat line (\d+)/, (_match, line) => `at line ${Number(line) + lineOffset}`);
+    }
     issues.push({
       issue: "CSVFormattingError",
-      message: `${formatName} parsing error: ${error2.message}`
+      message: `${formatName} parsing error: ${message}`,
+      ...position
     });
   }
-  return { columns, issues };
+  for (const [issue, count] of rowIssueCounts) {
+    if (count > MAX_CSV_ROW_ISSUES) {
+      issues.push({ issue, unlisted: count - MAX_CSV_ROW_ISSUES });
+    }
+  }
+  return { columns, issues, repeatedColumns };
+}
+
+// src/files/json.ts
+/**
+ * Records where every value of a JSON document starts in its source text
+ *
+ * Objects map each key to a member holding the key's position and its value;
+ * arrays hold one node per item. Positions are 1-based lines and characters.
+ *
+ * @param text - Raw JSON text
+ * @returns Position tree for the root value, or null if the text is not valid JSON
+ */
+function mapJSONPositions(text) {
+  const lineStarts = [0];
+  for (let k = 0; k < text.length; k++) {
+    if (text[k] === "\n")
+      lineStarts.push(k + 1);
+  }
+  const positionAt = (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = low + high + 1 >> 1;
+      if (lineStarts[mid] <= offset)
+        low = mid;
+      else
+        high = mid - 1;
+    }
+    return { line: low + 1, character: offset - lineStarts[low] + 1 };
+  };
+  let index = 0;
+  const skipWhitespace = () => {
+    while (index < text.length && /\s/.test(text[index]))
+      index++;
+  };
+  const readString = () => {
+    const start = index++;
+    while (index < text.length && text[index] !== '"') {
+      index += text[index] === "\\" ? 2 : 1;
+    }
+    index++;
+    return JSON.parse(text.slice(start, index));
+  };
+  const readValue = () => {
+    skipWhitespace();
+    const node = positionAt(index);
+    if (text[index] === "{") {
+      node.members = {};
+      index++;
+      skipWhitespace();
+      while (text[index] !== "}") {
+        skipWhitespace();
+        const keyPosition = positionAt(index);
+        const key = readString();
+        skipWhitespace();
+        index++;
+        node.members[key] = { ...keyPosition, value: readValue() };
+        skipWhitespace();
+        if (text[index] === ",")
+          index++;
+      }
+      index++;
+    } else if (text[index] === "[") {
+      node.items = [];
+      index++;
+      skipWhitespace();
+      while (text[index] !== "]") {
+        node.items.push(readValue());
+        skipWhitespace();
+        if (text[index] === ",")
+          index++;
+      }
+      index++;
+    } else if (text[index] === '"') {
+      readString();
+    } else {
+      while (index < text.length && !/[\s,\]}]/.test(text[index]))
+        index++;
+    }
+    return node;
+  };
+  try {
+    JSON.parse(text);
+    return readValue();
+  } catch (_error) {
+    return null;
+  }
+}
+function parseObjectPath(objectPath) {
+  return objectPath.split(".").filter((segment) => segment.length).map((segment) => {
+    const [, name, index] = segment.match(/^(.*?)(?:\[(\d+)\])?$/);
+    return { name, index: index ? Number(index) : void 0 };
+  });
+}
+/**
+ * Finds the source position of a JSON-LD object path such as ".author[1].affiliation"
+ *
+ * Expansion replaces keys with full IRIs and wraps single values in arrays, so
+ * keys are matched on their local name ("author", "schema:author" and
+ * "http://schema.org/author" all match "author") and index 0 also matches a
+ * value that was not an array. When part of the path cannot be followed (for
+ * example a key renamed through @context), the deepest position found is used.
+ *
+ * @param positions - Position tree from mapJSONPositions
+ * @param segments - Path segments from parseObjectPath
+ * @returns Line and character of the key, or null if not even the first key was found
+ */
+function locateJSONPath(positions, segments) {
+  let value = positions;
+  let found = null;
+  for (const { name, index } of segments) {
+    if (!value?.members)
+      break;
+    const key = Object.keys(value.members).find((key2) => key2 === name || key2.split(/[/#:]/).at(-1) === name);
+    if (key === void 0)
+      break;
+    const member = value.members[key];
+    found = member;
+    value = member.value;
+    if (value.items) {
+      if (!value.items[index || 0])
+        break;
+      if (index !== void 0)
+        found = value.items[index];
+      value = value.items[index || 0];
+    } else if (index > 0) {
+      break;
+    }
+  }
+  return found ? { line: found.line, character: found.character } : null;
+}
+
+// src/validators/columnValues.ts
+var MAX_VALUE_ISSUES_PER_COLUMN = 100;
+var VALUE_ISSUES = {
+  VALUE_OUT_OF_RANGE: "Values in a data file fall outside the minValue/maxValue declared for their column in variableMeasured.",
+  VALUE_NOT_IN_LEVELS: "Values in a data file are not among the levels declared in the valueReference of their column in variableMeasured.",
+  VALUE_TYPE_MISMATCH: "Values in a data file do not match the value type declared in the valueType or additionalType of their column in variableMeasured.",
+  KEYWORD_COLUMN_MISMATCH: "A data file has a column named after one of its filename keywords, but the column's values differ from the keyword's value in the filename. This usually means that the file was saved under the wrong name."
+};
+function valueTypeName(type) {
+  const name = String(type).split(/[/:#]/).at(-1).toLowerCase();
+  if (name === "string") {
+    return "Text";
+  }
+  return Object.keys(valueTypes).find((key) => key.toLowerCase() === name);
+}
+function expandedValues(node, property) {
+  return (node[`http://schema.org/${property}`] || []).map((item) => item["@value"] ?? item["@id"]).filter((value) => value !== void 0 && value !== null);
+}
+function numberOrUndefined(value) {
+  const number = typeof value === "number" ? value : Number(value);
+  return value !== void 0 && String(value).trim() !== "" && Number.isFinite(number) ? number : void 0;
+}
+/**
+ * Reads the value constraints of one expanded variableMeasured PropertyValue
+ * Levels come from the value, termCode or name of each valueReference entry;
+ * entries without any of these (e.g. a QuantitativeValue giving a unit) are
+ * not levels. The value type comes from valueType (as written by the data
+ * dictionary, e.g. "integer") or additionalType (e.g. "schema:Integer") when
+ * it names one of the schema.org DataTypes in valueTypes.
+ *
+ * @param variable - Expanded variableMeasured entry
+ * @returns Column definition, or null when the entry declares no constraints
+ *   and no missingValueCodes
+ */
+function readColumnDefinition(variable) {
+  const definition = {
+    minValue: numberOrUndefined(expandedValues(variable, "minValue")[0]),
+    maxValue: numberOrUndefined(expandedValues(variable, "maxValue")[0]),
+    unitText: expandedValues(variable, "unitText")[0],
+    levels: null,
+    valueType: void 0,
+    missingValueCodes: "http://schema.org/missingValueCodes" in variable ? expandedValues(variable, "missingValueCodes") : void 0
+  };
+  const levels = [];
+  for (const reference of variable["http://schema.org/valueReference"] || []) {
+    if ("@value" in reference) {
+      levels.push(String(reference["@value"]));
+    } else {
+      for (const property of ["value", "termCode", "name"]) {
+        levels.push(...expandedValues(reference, property).map(String));
+      }
+    }
+  }
+  if (levels.length) {
+    definition.levels = new Set(levels);
+  }
+  for (const type of [...expandedValues(variable, "valueType"), ...expandedValues(variable, "additionalType")]) {
+    definition.valueType = valueTypeName(type);
+    if (definition.valueType) {
+      break;
+    }
+  }
+  if (definition.minValue === void 0 && definition.maxValue === void 0 && !definition.levels && !definition.valueType && !definition.missingValueCodes) {
+    return null;
+  }
+  return definition;
+}
+/**
+ * Builds the test for missing values in a column
+ * Empty cells are always missing. Without declared codes, "NA" (as written by
+ * R) is missing as well; declared codes replace it. Numeric codes also match
+ * numerically equal cells, e.g. -999 matches "-999.0".
+ *
+ * @param codes - Declared missingValueCodes
+ * @returns Function telling whether a cell is a missing value
+ */
+function missingValueTest(codes = []) {
+  if (!codes.length) {
+    return isDefaultMissingValue;
+  }
+  const strings = new Set(codes.map(String));
+  const numbers = new Set(codes.map(numberOrUndefined).filter((number) => number !== void 0));
+  return (value) => value === "" || strings.has(value) || numbers.size > 0 && numbers.has(numberOrUndefined(value));
+}
+/**
+ * Resolves how strictly filename keywords are compared with the data columns
+ * of the same name, from the "keywordColumns" validator option ("off",
+ * "lenient" or "strict"); the "strict" option implies "strict"
+ * @param options - Validator options
+ * @returns "off", "lenient" or "strict"
+ */
+function keywordColumnMode(options) {
+  if (["off", "lenient", "strict"].includes(options?.keywordColumns)) {
+    return options.keywordColumns;
+  }
+  return options?.strict === true ? "strict" : "lenient";
+}
+/**
+ * Compares a cell with the value of the filename keyword of its column
+ * Strict mode needs identical text. Lenient mode ignores case, surrounding
+ * whitespace and zero padding of numbers, so "1" matches subject-01.
+ */
+function matchesKeyword(value, expected, mode) {
+  if (mode === "strict") {
+    return value === expected;
+  }
+  const normalize = (text) => {
+    const trimmed = text.trim().toLowerCase();
+    return /^\d+$/.test(trimmed) ? String(Number(trimmed)) : trimmed;
+  };
+  return normalize(value) === normalize(expected);
 }
+function matchesLevel(value, levels) {
+  if (levels.has(value)) {
+    return true;
+  }
+  const number = numberOrUndefined(value);
+  return number !== void 0 && [...levels].some((level) => numberOrUndefined(level) === number);
+}
+var ColumnValueChecker = class {
+  /**
+   * Checks the cells of a CSV/TSV file against the column definitions read
+   * from variableMeasured (see readColumnDefinition), and the columns named
+   * after a canonical keyword of the filename against that keyword's value
+   * Missing values are not checked. Each column reports at most
+   * MAX_VALUE_ISSUES_PER_COLUMN cells per issue; the rest are summarised by
+   * finish().
+   *
+   * @param context - File context, with columnDefinitions loaded
+   */
+  constructor(context) {
+    this.context = context;
+    this.skipped = /* @__PURE__ */ new Map();
+    this.reported = /* @__PURE__ */ new Map();
+    this.keywordMode = keywordColumnMode(context.dataset.options);
+    this.keywords = this.keywordMode === "off" ? [] : Object.entries(context.keywords).filter(
+      ([keyword, value]) => value !== "NOKEYWORD" && context.dataset.canonicalKeywords.includes(keyword)
+    );
+  }
+  /** Whether there is anything to check */
+  get active() {
+    return this.context.columnDefinitions.size > 0 || this.keywords.length > 0;
+  }
+  /**
+   * Checks one parsed row
+   * @param row - Row as passed to parseCSV's onRow
+   */
+  checkRow(row) {
+    for (const [column, definition] of this.context.columnDefinitions) {
+      const value = row.values[column];
+      if (value === void 0 || definition.isMissing(value)) {
+        continue;
+      }
+      if (definition.valueType && !valueTypes[definition.valueType](value)) {
+        this.report("VALUE_TYPE_MISMATCH", column, row, `${JSON.stringify(value)} is not a valid ${definition.valueType}`);
+        continue;
+      }
+      if (definition.levels && !matchesLevel(value, definition.levels)) {
+        this.report("VALUE_NOT_IN_LEVELS", column, row, `${JSON.stringify(value)} is not one of the declared levels [${[...definition.levels].join(", ")}]`);
+      }
+      const number = numberOrUndefined(value);
+      const unit = definition.unitText ? ` ${definition.unitText}` : "";
+      if (definition.minValue !== void 0 && number !== void 0 && number < definition.minValue) {
+        this.report("VALUE_OUT_OF_RANGE", column, row, `${value} is below the minValue of ${definition.minValue}${unit}`);
+      } else if (definition.maxValue !== void 0 && number !== void 0 && number > definition.maxValue) {
+        this.report("VALUE_OUT_OF_RANGE", column, row, `${value} is above the maxValue of ${definition.maxValue}${unit}`);
+      }
+    }
+    for (const [keyword, expected] of this.keywords) {
+      const value = row.values[keyword];
+      if (value === void 0 || this.context.missingValueTest(keyword)(value) || matchesKeyword(value, expected, this.keywordMode)) {
+        continue;
+      }
+      this.report("KEYWORD_COLUMN_MISMATCH", keyword, row, `${JSON.stringify(value)} does not match the filename keyword ${keyword}-${expected}`);
+    }
+  }
+  severity(key) {
+    return key === "KEYWORD_COLUMN_MISMATCH" && this.keywordMode === "strict" ? "error" : "warning";
+  }
+  report(key, column, row, message) {
+    const id = `${key}\0${column}`;
+    const count = this.reported.get(id) || 0;
+    if (count >= MAX_VALUE_ISSUES_PER_COLUMN) {
+      this.skipped.set(id, (this.skipped.get(id) || 0) + 1);
+      return;
+    }
+    this.reported.set(id, count + 1);
+    this.context.issues.add({
+      key,
+      reason: VALUE_ISSUES[key],
+      severity: this.severity(key),
+      files: [{ ...this.context.file, ...row.locate(column), evidence: `Column ${column}: ${message}` }]
+    });
+  }
+  /**
+   * Counts the further cells of each column that failed a check after the
+   * per-column limit was reached, as unlisted occurrences of the issue
+   */
+  finish() {
+    for (const [id, count] of this.skipped) {
+      const [key] = id.split("\0");
+      this.context.issues.add({
+        key,
+        reason: VALUE_ISSUES[key],
+        severity: this.severity(key),
+        files: [{ ...this.context.file, unlisted: count }]
+      });
+    }
+    this.skipped.clear();
+  }
+};
 
 // src/schema/context.ts
 var psychDSContextDataset = class {
@@ -5882,6 +7600,12 @@ var psychDSContextDataset = class {
     this.tree = {};
     this.ignored = [];
     this.allColumns = [];
+    this.measuredVariables = [];
+    this.dataFileKeywords = null;
+    this.canonicalKeywords = [];
+    this.reportedSchemaFaults = /* @__PURE__ */ new Set();
+    this.metadataPositions = {};
+    this.schemaOrgJsonLD = "defaultSchemaOrgJsonLD.json";
     if (options) {
       this.options = options;
     }
@@ -5912,8 +7636,12 @@ var psychDSContext = class {
     this.sidecar = dsContext ? dsContext.dataset_description : {};
     this.expandedSidecar = {};
     this.validColumns = [];
+    this.columnDefinitions = /* @__PURE__ */ new Map();
+    this.isMissingValue = isDefaultMissingValue;
     this.metadataProvenance = {};
     this.columns = new ColumnsMap();
+    this.onRow = void 0;
+    this.repeatedColumns = [];
     this.suggestedColumns = [];
   }
   /** Gets the file's path */
@@ -5947,7 +7675,11 @@ var psychDSContext = class {
       }
     }
     if (validSidecars.length === 1) {
-      const validSidecarJson = await validSidecars[0].text().then(JSON.parse);
+      const sidecarText = await validSidecars[0].text();
+      const validSidecarJson = JSON.parse(sidecarText);
+      if (!(validSidecars[0].path in this.dataset.metadataPositions)) {
+        this.dataset.metadataPositions[validSidecars[0].path] = mapJSONPositions(sidecarText);
+      }
       this.sidecar = { ...this.sidecar, ...validSidecarJson };
       Object.keys(validSidecarJson).forEach((key) => {
         const baseKey = key.split("/").at(-1);
@@ -5972,17 +7704,22 @@ var psychDSContext = class {
   }
   /**
    * Extracts valid column names from metadata
-   * Used for CSV/TSV header validation
+   * Used for CSV/TSV header validation. PropertyValue entries that declare
+   * value constraints or missingValueCodes are also kept in columnDefinitions,
+   * for checking cells. Columns without their own missingValueCodes use the
+   * dataset-wide ones from the top level of the metadata.
    */
   loadValidColumns() {
     if (this.extension !== ".csv" && this.extension !== ".tsv") {
       return;
     }
     const nameSpace = "http://schema.org/";
+    this.isMissingValue = missingValueTest(expandedValues(this.expandedSidecar, "missingValueCodes"));
     if (!(`${nameSpace}variableMeasured` in this.expandedSidecar)) {
       return;
     }
     let validColumns = [];
+    const columnDefinitions = /* @__PURE__ */ new Map();
     for (const variable of this.expandedSidecar[`${nameSpace}variableMeasured`]) {
       if ("@value" in variable) {
         validColumns = [...validColumns, variable["@value"]];
@@ -5991,11 +7728,27 @@ var psychDSContext = class {
           const subVar = variable[`${nameSpace}name`][0];
           if ("@value" in subVar) {
             validColumns = [...validColumns, subVar["@value"]];
+            const definition = readColumnDefinition(variable);
+            if (definition) {
+              columnDefinitions.set(subVar["@value"], definition);
+            }
           }
         }
       }
     }
+    for (const definition of columnDefinitions.values()) {
+      definition.isMissing = definition.missingValueCodes ? missingValueTest(definition.missingValueCodes) : this.isMissingValue;
+    }
     this.validColumns = validColumns;
+    this.columnDefinitions = columnDefinitions;
+  }
+  /**
+   * Gets the test for missing values of a column
+   * @param column - Column header
+   * @returns Function telling whether a cell of the column is a missing value
+   */
+  missingValueTest(column) {
+    return this.columnDefinitions.get(column)?.isMissing || this.isMissingValue;
   }
   /**
    * Loads and validates CSV/TSV column data
@@ -6005,26 +7758,57 @@ var psychDSContext = class {
       return;
     }
     let result;
+    const valueChecker = new ColumnValueChecker(this);
+    const rowChecks = [valueChecker.active && ((row) => valueChecker.checkRow(row)), this.onRow].filter(Boolean);
     try {
-      result = await parseCSV(await this.file.text(), this.extension);
+      result = await parseCSV(this.file.textChunks(), this.extension, {
+        signal: this.dataset.options?.signal,
+        onRow: rowChecks.length ? (row) => rowChecks.forEach((check) => check(row)) : void 0,
+        missingValues: (header) => this.missingValueTest(header)
+      });
+      valueChecker.finish();
     } catch (_error) {
+      if (_error instanceof ValidationAbortedError) {
+        throw _error;
+      }
       result = /* @__PURE__ */ new Map();
     }
     this.columns = result["columns"];
+    this.repeatedColumns = result["repeatedColumns"] || [];
     this.reportCSVIssues(result["issues"]);
+    this.reportMissingColumns();
     return;
   }
+  /**
+   * Warns about columns in which every cell is a missing value
+   */
+  reportMissingColumns() {
+    for (const [header, stats] of Object.entries(this.columns || {})) {
+      if (stats.count > 0 && stats.missing === stats.count) {
+        this.issues.add({
+          key: "COLUMN_ALL_MISSING",
+          reason: "A column of a data file contains only missing values (empty cells, NA or declared missingValueCodes).",
+          severity: "warning",
+          files: [{ ...this.file, evidence: `Column ${header}: all ${stats.count} values are missing` }]
+        });
+      }
+    }
+  }
   /**
    * Records CSV validation issues
    * @param issues - Array of CSV validation issues
    */
   reportCSVIssues(issues) {
     issues.forEach((issue) => {
-      if (issue.message) {
-        this.issues.addSchemaIssue(
-          issue.issue,
-          [{ ...this.file, evidence: issue.message }]
-        );
+      if (issue.unlisted) {
+        this.issues.addSchemaIssue(issue.issue, [{ ...this.file, unlisted: issue.unlisted }]);
+      } else if (issue.message) {
+        const file = { ...this.file, evidence: issue.message };
+        if (issue.line) {
+          file.line = issue.line;
+          file.character = issue.character;
+        }
+        this.issues.addSchemaIssue(issue.issue, [file]);
       } else {
         this.issues.addSchemaIssue(
           issue.issue,
@@ -6049,6 +7833,9 @@ var psychDSContext = class {
       if (url.startsWith("http://schema.org/") || url.startsWith("https://schema.org/")) {
         const safeSchemaUrl = "https://schema.org/version/latest/schemaorg-current-https.jsonld";
         try {
+          if (isOfflineSchemaSource(this.dataset.options)) {
+            throw new Error("Offline schema source, using bundled schema.org context");
+          }
           const response = await fetch(safeSchemaUrl);
           const context = await response.json();
           return {
@@ -6057,26 +7844,15 @@ var psychDSContext = class {
             documentUrl: url
           };
         } catch (_error) {
-          if (isBrowser) {
-            try {
-              const context = await fetchJSON("/defaultSchemaOrgJsonLD.json") || {};
-              return {
-                contextUrl: null,
-                document: context,
-                documentUrl: url
-              };
-            } catch (error2) {
-              console.log(error2);
-            }
-          } else {
-            const context = JSON.parse(
-              await readFile("../setup/defaultSchemaOrgJsonLD.json")
-            );
+          try {
+            const context = await readBundledJSON(this.dataset.schemaOrgJsonLD) || {};
             return {
               contextUrl: null,
               document: context,
               documentUrl: url
             };
+          } catch (error2) {
+            console.log(error2);
           }
         }
       }
@@ -6114,55 +7890,333 @@ var psychDSContext = class {
           "@vocab": "http://schema.org/"
         };
       }
-      const exp = await jsonldToUse.expand(this.sidecar, {
-        documentLoader: customDocumentLoader
-      });
-      return exp[0] || {};
-    } catch (error2) {
-      if (error2.details.code.includes("remote context")) {
-        error2.message += "\n\n This may be caused by using the wrong URL in the @context field of your dataset_description.json file, or it could be caused by failing to use either http:// or https:// at the beginning.";
+      const exp = await jsonldToUse.expand(this.sidecar, {
+        documentLoader: customDocumentLoader
+      });
+      return exp[0] || {};
+    } catch (error2) {
+      if (error2.details.code.includes("remote context")) {
+        error2.message += "\n\n This may be caused by using the wrong URL in the @context field of your dataset_description.json file, or it could be caused by failing to use either http:// or https:// at the beginning.";
+      }
+      const issueFile2 = {
+        ...this.dataset.metadataFile,
+        // deno-lint-ignore no-explicit-any
+        evidence: error2.message
+      };
+      this.issues.add({
+        key: "INVALID_JSONLD_FORMATTING",
+        // deno-lint-ignore no-explicit-any
+        reason: `${error2.details.code}`,
+        severity: "error",
+        files: [issueFile2]
+      });
+      return {};
+    }
+  }
+  /**
+   * Performs all asynchronous loading operations
+   * Loads sidecar metadata before CSV columns, so that the column definitions
+   * from variableMeasured are known while the data file is parsed
+   * A sidecar that cannot be read or parsed is skipped so the data file is
+   * still checked; loadColumns handles its own parse errors. Only an abort
+   * propagates.
+   */
+  async asyncLoads() {
+    try {
+      await this.loadSidecar();
+    } catch (error2) {
+      if (error2 instanceof ValidationAbortedError) {
+        throw error2;
+      }
+    }
+    await this.loadColumns();
+  }
+};
+
+// src/schema/walk.ts
+async function* _walkFileTree(fileTree, root, issues, dsContext) {
+  for (const file of fileTree.files) {
+    yield new psychDSContext(root, file, issues, dsContext);
+  }
+  for (const dir of fileTree.directories) {
+    if (fileTree.path === "/" && dsContext) {
+      dsContext.baseDirs = [...dsContext.baseDirs, `/${dir.name}`];
+    }
+    yield* _walkFileTree(dir, root, issues, dsContext);
+  }
+}
+async function* walkFileTree(fileTree, issues, dsContext) {
+  yield* _walkFileTree(fileTree, fileTree, issues, dsContext);
+}
+
+// src/plugins.ts
+var registeredPlugins = [];
+function checkPlugin(plugin) {
+  if (!plugin || typeof plugin.name !== "string" || !plugin.name) {
+    throw new TypeError("A validator plugin needs a non-empty name");
+  }
+  for (const hook of ["fileCheck", "rowCheck", "datasetCheck"]) {
+    if (plugin[hook] !== void 0 && typeof plugin[hook] !== "function") {
+      throw new TypeError(`Plugin ${plugin.name}: ${hook} must be a function`);
+    }
+  }
+  for (const step of plugin.steps || []) {
+    if (typeof step.key !== "string" || !step.message?.imperative || !step.message?.pastTense) {
+      throw new TypeError(
+        `Plugin ${plugin.name}: each step needs a key and a message with imperative and pastTense text`
+      );
+    }
+  }
+  return plugin;
+}
+/**
+ * Registers a plugin for every subsequent validation run
+ *
+ * A plugin is an object with:
+ *   name          - unique name
+ *   fileCheck     - optional async (context, api) => void, run for every file that
+ *                   is not ignored, after the built-in checks, with its psychDSContext.
+ *                   context.columns holds a ColumnStats per header, not cell values.
+ *   rowCheck      - optional (row, context, api) => void, run synchronously for every
+ *                   CSV/TSV row with the expected number of cells while the file is
+ *                   parsed. row is { line, values, locate }, values mapping headers
+ *                   to cells and locate(header) giving the { line, character } of a cell.
+ *                   context.missingValueTest(header)(cell) tells whether a cell is
+ *                   a declared missing value.
+ *   datasetCheck  - optional async (dsContext, api) => void, run once after all files,
+ *                   with the psychDSContextDataset
+ *   steps         - optional checklist steps, each { key, message: { imperative,
+ *                   pastTense }, issueKeys }. After the checks ran, the step's
+ *                   emitter event is emitted and fails if any of issueKeys was raised.
+ *   message       - optional { imperative, pastTense } for the plugin's checklist group
+ *
+ * api is { schema, issues, summary, dataset, emit, signal }, where issues is the
+ * run's DatasetIssues (issues.add / issues.addSchemaIssue), emit(event, data) emits
+ * on the run's emitter and signal is the run's AbortSignal, if any. Plugins can
+ * also be passed per run via options.plugins.
+ *
+ * A hook that throws is reported as PLUGIN_ERROR and disables all of the plugin's
+ * hooks for the rest of the run; its steps are then emitted as failed.
+ *
+ * @param plugin - Plugin to register
+ * @returns Function that unregisters the plugin
+ */
+function registerPlugin(plugin) {
+  checkPlugin(plugin);
+  if (registeredPlugins.some((registered) => registered.name === plugin.name)) {
+    throw new Error(`A validator plugin named ${plugin.name} is already registered`);
+  }
+  registeredPlugins.push(plugin);
+  return () => {
+    registeredPlugins = registeredPlugins.filter((registered) => registered !== plugin);
+  };
+}
+function activePlugins(options) {
+  return [...registeredPlugins, ...(options?.plugins || []).map(checkPlugin)];
+}
+function pluginSteps(plugins) {
+  return plugins.filter((plugin) => plugin.steps?.length).map((plugin) => ({
+    key: `plugin:${plugin.name}`,
+    message: plugin.message || {
+      imperative: `Run ${plugin.name} checks`,
+      pastTense: `${plugin.name} checks completed`
+    },
+    subSteps: plugin.steps.map((step) => ({ key: step.key, message: step.message }))
+  }));
+}
+function reportPluginError(plugin, hook, file, error2, api) {
+  if (error2 instanceof ValidationAbortedError || api.signal?.aborted) {
+    throw new ValidationAbortedError(api.signal?.reason);
+  }
+  api.issues.add({
+    key: "PLUGIN_ERROR",
+    reason: "A validator plugin failed while checking the dataset. Its checks are incomplete.",
+    severity: "error",
+    files: [{ ...file, evidence: `${plugin.name} (${hook}): ${error2.message}` }]
+  });
+}
+async function runPluginHook(plugin, hook, target, api) {
+  try {
+    await plugin[hook](target, api);
+    return true;
+  } catch (error2) {
+    reportPluginError(plugin, hook, target.file || target.metadataFile, error2, api);
+    return false;
+  }
+}
+function pluginRowChecks(plugins, failedPlugins, context, api) {
+  const rowPlugins = plugins.filter((plugin) => plugin.rowCheck);
+  if (!rowPlugins.length) {
+    return void 0;
+  }
+  return (row) => {
+    for (const plugin of rowPlugins) {
+      if (failedPlugins.has(plugin))
+        continue;
+      try {
+        plugin.rowCheck(row, context, api);
+      } catch (error2) {
+        reportPluginError(plugin, "rowCheck", context.file, error2, api);
+        failedPlugins.add(plugin);
+      }
+    }
+  };
+}
+
+// src/validators/keywordConsistency.ts
+var KEYWORD_CONSISTENCY_REASONS = {
+  KEYWORD_ORDER_INCONSISTENT: "Data files list the same filename keywords in different orders. Using one order throughout makes the dataset easier to navigate and to process.",
+  KEYWORD_NAME_NEAR_DUPLICATE: "Data files use filename keywords whose names differ only in case or by abbreviation (e.g. sub and subject), which usually means the same keyword was spelled in different ways.",
+  KEYWORD_PADDING_INCONSISTENT: "Numeric values of a filename keyword are zero-padded in some data files but not in others (e.g. subject-01 and subject-1).",
+  KEYWORD_COMBINATION_SINGLETON: "A data file uses a combination of filename keywords that no other data file uses, while other combinations are shared by several files."
+};
+function keywordList(file) {
+  return Object.entries(readElements(file.name).keywords);
+}
+/**
+ * Tells whether two keyword names look like spellings of the same keyword:
+ * equal but for case, or one an abbreviation of the other, i.e. a prefix of
+ * at least 3 characters (e.g. ses and session). Names that merely look alike,
+ * such as task and mask, are distinct keywords.
+ */
+function nearDuplicateKeywords(a, b) {
+  const [short, long] = [a.toLowerCase(), b.toLowerCase()].sort((x, y) => x.length - y.length);
+  return short === long || short.length >= 3 && long.startsWith(short);
+}
+function keywordOrderIssues(files) {
+  const pairCounts = /* @__PURE__ */ new Map();
+  const firstSeen = /* @__PURE__ */ new Map();
+  const pairs = (keywords) => keywords.flatMap((a, i) => keywords.slice(i + 1).map((b) => [a, b]));
+  files.forEach(({ keywords }, index) => {
+    for (const [a, b] of pairs(keywords)) {
+      pairCounts.set(`${a}\0${b}`, (pairCounts.get(`${a}\0${b}`) || 0) + 1);
+      if (!firstSeen.has(`${a}\0${b}`)) {
+        firstSeen.set(`${a}\0${b}`, index);
+      }
+    }
+  });
+  const minority = ([a, b]) => {
+    const [count, reverseCount] = [pairCounts.get(`${a}\0${b}`) || 0, pairCounts.get(`${b}\0${a}`) || 0];
+    return count < reverseCount || count === reverseCount && firstSeen.get(`${b}\0${a}`) < firstSeen.get(`${a}\0${b}`);
+  };
+  return files.filter(({ keywords }) => pairs(keywords).some(minority)).map(({ file, keywords }) => {
+    const usual = [...keywords].sort((a, b) => minority([a, b]) ? 1 : minority([b, a]) ? -1 : 0);
+    return { ...file, evidence: `Keyword order [${keywords.join(", ")}]; other data files use [${usual.join(", ")}]` };
+  });
+}
+function keywordNameIssues(files, canonicalKeywords) {
+  const fileCounts = /* @__PURE__ */ new Map();
+  for (const { keywords } of files) {
+    for (const keyword of keywords) {
+      fileCounts.set(keyword, (fileCounts.get(keyword) || 0) + 1);
+    }
+  }
+  const preference = (keyword) => [canonicalKeywords.includes(keyword) ? 1 : 0, fileCounts.get(keyword)];
+  const preferred = (a, b) => {
+    const [pa, pb] = [preference(a), preference(b)];
+    return pa[0] !== pb[0] ? pa[0] > pb[0] : pa[1] !== pb[1] ? pa[1] > pb[1] : a < b;
+  };
+  const replacements = /* @__PURE__ */ new Map();
+  const names = [...fileCounts.keys()];
+  for (const a of names) {
+    for (const b of names) {
+      if (a !== b && nearDuplicateKeywords(a, b) && preferred(b, a) && (!replacements.has(a) || preferred(b, replacements.get(a)))) {
+        replacements.set(a, b);
       }
-      const issueFile2 = {
-        ...this.dataset.metadataFile,
-        // deno-lint-ignore no-explicit-any
-        evidence: error2.message
-      };
-      this.issues.add({
-        key: "INVALID_JSONLD_FORMATTING",
-        // deno-lint-ignore no-explicit-any
-        reason: `${error2.details.code}`,
-        severity: "error",
-        files: [issueFile2]
+    }
+  }
+  const found = [];
+  for (const { file, keywords } of files) {
+    for (const keyword of keywords.filter((keyword2) => replacements.has(keyword2))) {
+      const other = replacements.get(keyword);
+      found.push({
+        ...file,
+        evidence: `Keyword "${keyword}" looks like "${other}", which ${fileCounts.get(other)} data file(s) use`
       });
-      return {};
     }
   }
-  /**
-   * Performs all asynchronous loading operations
-   * Loads sidecar metadata and CSV columns in parallel
-   */
-  async asyncLoads() {
-    await Promise.allSettled([
-      this.loadSidecar(),
-      this.loadColumns()
-    ]);
+  return found;
+}
+function keywordPaddingIssues(files) {
+  const widths = /* @__PURE__ */ new Map();
+  for (const { values } of files) {
+    for (const [keyword, value] of values) {
+      if (/^0\d+$/.test(value)) {
+        widths.set(keyword, Math.max(widths.get(keyword) || 0, value.length));
+      }
+    }
   }
-};
-
-// src/schema/walk.ts
-async function* _walkFileTree(fileTree, root, issues, dsContext) {
-  for (const file of fileTree.files) {
-    yield new psychDSContext(root, file, issues, dsContext);
+  const found = [];
+  for (const { file, values } of files) {
+    for (const [keyword, value] of values) {
+      if (widths.has(keyword) && /^\d+$/.test(value) && value.length < widths.get(keyword)) {
+        found.push({
+          ...file,
+          evidence: `${keyword}-${value} is not zero-padded to ${widths.get(keyword)} digits like other ${keyword} values (e.g. ${keyword}-${value.padStart(widths.get(keyword), "0")})`
+        });
+      }
+    }
   }
-  for (const dir of fileTree.directories) {
-    if (fileTree.path === "/" && dsContext) {
-      dsContext.baseDirs = [...dsContext.baseDirs, `/${dir.name}`];
+  return found;
+}
+function keywordCombinationIssues(files) {
+  const combinations = /* @__PURE__ */ new Map();
+  for (const entry of files) {
+    const combination = [...entry.keywords].sort().join(", ");
+    if (!combinations.has(combination)) {
+      combinations.set(combination, []);
     }
-    yield* _walkFileTree(dir, root, issues, dsContext);
+    combinations.get(combination).push(entry.file);
+  }
+  const [common, commonFiles] = [...combinations].sort((a, b) => b[1].length - a[1].length)[0] || [];
+  if (!commonFiles || commonFiles.length < 2) {
+    return [];
   }
+  return [...combinations].filter(([, combinationFiles]) => combinationFiles.length === 1).map(([combination, [file]]) => ({
+    ...file,
+    evidence: `Keywords [${combination}] are used by this data file only; the most common combination is [${common}] (${commonFiles.length} files)`
+  }));
 }
-async function* walkFileTree(fileTree, issues, dsContext) {
-  yield* _walkFileTree(fileTree, fileTree, issues, dsContext);
+/**
+ * Compares the filename keywords of all data files with each other
+ * Reports inconsistent keyword orders, near-duplicate keyword names,
+ * inconsistent zero-padding of numeric values and keyword combinations used by
+ * a single file, each as a warning with one occurrence per affected file.
+ * When two orders are equally common, the one seen first is taken as usual.
+ * Files with a near-duplicate keyword name are not also reported as the only
+ * file with their keyword combination.
+ *
+ * @param dataFiles - Data files that were validated
+ * @param canonicalKeywords - Keywords defined by the schema, preferred over near-duplicates
+ * @param issues - Issue collection of the run
+ */
+function checkKeywordConsistency(dataFiles, canonicalKeywords, issues) {
+  const files = dataFiles.map((file) => {
+    const entries = keywordList(file);
+    return {
+      file,
+      keywords: entries.map(([keyword]) => keyword),
+      values: entries.filter(([, value]) => value !== "NOKEYWORD")
+    };
+  });
+  const nameIssues = keywordNameIssues(files, canonicalKeywords);
+  const misnamed = new Set(nameIssues.map((found) => found.path));
+  const findings = {
+    KEYWORD_ORDER_INCONSISTENT: keywordOrderIssues(files),
+    KEYWORD_NAME_NEAR_DUPLICATE: nameIssues,
+    KEYWORD_PADDING_INCONSISTENT: keywordPaddingIssues(files),
+    KEYWORD_COMBINATION_SINGLETON: keywordCombinationIssues(files).filter((found) => !misnamed.has(found.path))
+  };
+  for (const [key, found] of Object.entries(findings)) {
+    if (found.length) {
+      issues.add({
+        key,
+        reason: KEYWORD_CONSISTENCY_REASONS[key],
+        severity: "warning",
+        files: found
+      });
+    }
+  }
 }
 
 // src/validators/psychds.ts
@@ -6178,12 +8232,33 @@ function isDataFile(extension, suffix) {
 async function validate(fileTree, options) {
   options.emitter?.emit("start", { success: true });
   const summary = new Summary();
-  const schema = await loadSchema(options.schema);
+  const schema = await loadSchema(options.schema, options);
+  throwIfAborted(options.signal);
   const issues = new DatasetIssues(schema);
+  const plugins = activePlugins(options);
+  const configFile = fileTree.files.find(
+    (file) => file.path === `/${VALIDATOR_CONFIG_FILE}`
+  );
+  if (configFile) {
+    const { entries, problems } = await readValidatorConfig(configFile, schema);
+    issues.config = entries;
+    problems.forEach((problem) => {
+      issues.add({
+        key: "INVALID_VALIDATOR_CONFIG",
+        reason: `Entries of ${VALIDATOR_CONFIG_FILE} that cannot be applied were skipped.`,
+        severity: "error",
+        files: [{ ...configFile, evidence: problem }]
+      });
+    });
+  }
   let totalDataFiles = 0;
   let processedDataFiles = 0;
   options.emitter?.emit("build-tree", { success: true });
   summary.schemaVersion = schema.schema_version;
+  summary.schemaSource = {
+    source: schema["schema_source.source"],
+    location: schema["schema_source.location"]
+  };
   const ddFile = fileTree.files.find(
     (file) => file.path === "/dataset_description.json"
   );
@@ -6191,8 +8266,10 @@ async function validate(fileTree, options) {
   if (ddFile) {
     options.emitter?.emit("find-metadata", { success: true });
     try {
-      const description = await ddFile.text().then(JSON.parse);
+      const descriptionText = await ddFile.text();
+      const description = JSON.parse(descriptionText);
       dsContext = new psychDSContextDataset(options, ddFile, description);
+      dsContext.metadataPositions[ddFile.path] = mapJSONPositions(descriptionText);
     } catch (_error) {
       dsContext = new psychDSContextDataset(options, ddFile);
       issues.addSchemaIssue(
@@ -6210,6 +8287,17 @@ async function validate(fileTree, options) {
   } else {
     dsContext = new psychDSContextDataset(options);
   }
+  dsContext.canonicalKeywords = Object.keys(schema["meta.context.context.properties.keywords.properties"] || {});
+  dsContext.schemaOrgJsonLD = await bundledSchemaOrgJsonLD(schema);
+  const pluginApi = {
+    schema,
+    issues,
+    summary,
+    dataset: dsContext,
+    emit: (event, data) => options.emitter?.emit(event, data),
+    signal: options.signal
+  };
+  const failedPlugins = /* @__PURE__ */ new Set();
   const rulesRecord = {};
   findFileRules(schema, rulesRecord);
   const failedEvents = /* @__PURE__ */ new Set();
@@ -6225,16 +8313,20 @@ async function validate(fileTree, options) {
       options.emitter?.emit(event_name, { success: true, progress });
     }
   };
-  let validColumns = {};
+  const dataFiles = [];
   for await (const context of walkFileTree(fileTree, issues, dsContext)) {
     if (isDataFile(context.extension, context.suffix)) {
       totalDataFiles++;
+      if (!context.file.ignored) {
+        dataFiles.push(context.file);
+      }
     }
   }
   if (totalDataFiles > 0) {
     options.emitter?.emit("csv-count-total", { total: totalDataFiles });
   }
   for await (const context of walkFileTree(fileTree, issues, dsContext)) {
+    throwIfAborted(options.signal);
     if (dsContext.baseDirs.includes("/data")) {
       options.emitter?.emit("find-data-dir", { success: true });
     }
@@ -6251,7 +8343,9 @@ async function validate(fileTree, options) {
     }
     if (context.file.ignored)
       continue;
+    context.onRow = pluginRowChecks(plugins, failedPlugins, context, pluginApi);
     await context.asyncLoads();
+    throwIfAborted(options.signal);
     if (context.extension === ".csv" || context.extension === ".tsv") {
       summary.suggestedColumns = [
         .../* @__PURE__ */ new Set([
@@ -6259,10 +8353,16 @@ async function validate(fileTree, options) {
           ...Object.keys(context.columns)
         ])
       ];
+      dsContext.allColumns = summary.suggestedColumns;
     }
     for (const check of CHECKS3) {
       await check(schema, context);
     }
+    for (const plugin of plugins.filter((plugin2) => plugin2.fileCheck && !failedPlugins.has(plugin2))) {
+      if (!await runPluginHook(plugin, "fileCheck", context, pluginApi)) {
+        failedPlugins.add(plugin);
+      }
+    }
     for (const rule of context.filenameRules) {
       rulesRecord[rule] = true;
     }
@@ -6295,16 +8395,8 @@ async function validate(fileTree, options) {
       emitCheck("csv-nomismatch", ["CSV_HEADER_LENGTH_MISMATCH"], dataFileProgress, true);
       emitCheck("csv-rowid", ["ROWID_VALUES_NOT_UNIQUE"], dataFileProgress, true);
     }
-    if (context.validColumns.length != 0) {
-      context.validColumns.forEach((col) => {
-        if (!(col in validColumns))
-          validColumns[col] = false;
-        if (col in context.columns)
-          validColumns[col] = true;
-      });
-    }
   }
-  const extraVars = Object.entries(validColumns).filter(([key, value]) => !value).map(([key]) => key);
+  const extraVars = dsContext.measuredVariables.filter((variable) => !dsContext.allColumns.includes(variable));
   if (extraVars.length != 0) {
     issues.addSchemaIssue("VariableMissingFromCsvColumns", [
       {
@@ -6314,6 +8406,7 @@ async function validate(fileTree, options) {
       }
     ]);
   }
+  checkKeywordConsistency(dataFiles, dsContext.canonicalKeywords, issues);
   options.emitter?.emit("metadata-utf8", { success: true });
   emitCheck("metadata-json", ["INVALID_JSON_FORMATTING"]);
   emitCheck("metadata-fields", ["JSON_KEY_REQUIRED"]);
@@ -6342,6 +8435,21 @@ async function validate(fileTree, options) {
   emitCheck("find-metadata", ["MISSING_DATASET_DESCRIPTION"]);
   emitCheck("find-data-dir", ["MISSING_DATA_DIRECTORY"]);
   emitCheck("check-for-csv", ["MISSING_DATAFILE"]);
+  for (const plugin of plugins.filter((plugin2) => plugin2.datasetCheck && !failedPlugins.has(plugin2))) {
+    throwIfAborted(options.signal);
+    if (!await runPluginHook(plugin, "datasetCheck", dsContext, pluginApi)) {
+      failedPlugins.add(plugin);
+    }
+  }
+  for (const plugin of plugins) {
+    for (const step of plugin.steps || []) {
+      if (failedPlugins.has(plugin)) {
+        options.emitter?.emit(step.key, { success: false, issue: issues.get("PLUGIN_ERROR") });
+      } else {
+        emitCheck(step.key, step.issueKeys || []);
+      }
+    }
+  }
   issues.filterIssues(rulesRecord);
   return {
     valid: [...issues.values()].filter((issue) => issue.severity === "error").length === 0,
@@ -6736,6 +8844,68 @@ var ignore = (options) => new Ignore(options);
 var isPathValid = (path2) => checkPath(path2 && checkPath.convert(path2), path2, RETURN_FALSE);
 ignore.isPathValid = isPathValid;
 
+// src/files/config.ts
+var VALIDATOR_CONFIG_FILE = ".psychds-config.json";
+var CONFIG_LEVELS = ["error", "warning"];
+function validatorConfigEntry(item, schema) {
+  const paths = Array.isArray(item.paths) && item.paths.length ? ignore({ allowRelativePaths: true }).add(item.paths) : null;
+  return {
+    code: schema[`rules.errors.${item.code}.code`] || item.code,
+    action: item.action,
+    level: item.level,
+    paths: item.paths || [],
+    justification: item.justification.trim(),
+    test: (path2) => paths === null || path2 !== void 0 && paths.ignores(path2.replace(/^\//, ""))
+  };
+}
+/**
+ * Reads the per-dataset validator config (.psychds-config.json in the dataset root)
+ *
+ * The file holds an "issues" array of entries such as
+ *   { "code": "FILE_NOT_CHECKED", "action": "suppress", "paths": ["data/aux/*.txt"],
+ *     "justification": "Auxiliary files documented in README" }
+ *   { "code": "FilenameUnofficialKeywordWarning", "action": "relevel", "level": "error",
+ *     "justification": "..." }
+ * where code is an issue code or a rules.errors name, paths are optional
+ * gitignore-style globs relative to the dataset root and justification is required.
+ *
+ * @param file - Config file
+ * @param schema - Loaded schema, used to resolve rules.errors names to codes
+ * @returns Valid entries, and a description of every entry that was rejected
+ */
+async function readValidatorConfig(file, schema) {
+  let config;
+  try {
+    config = JSON.parse(await file.text());
+  } catch (error2) {
+    return { entries: [], problems: [`Not valid JSON: ${error2.message}`] };
+  }
+  if (!Array.isArray(config?.issues)) {
+    return { entries: [], problems: ['Expected an object with an "issues" array'] };
+  }
+  const entries = [];
+  const problems = [];
+  config.issues.forEach((item, index) => {
+    const where = `issues[${index}]`;
+    if (!item || typeof item !== "object") {
+      problems.push(`${where}: expected an object`);
+    } else if (typeof item.code !== "string" || !item.code) {
+      problems.push(`${where}: "code" is required`);
+    } else if (typeof item.justification !== "string" || !item.justification.trim()) {
+      problems.push(`${where} (${item.code}): a "justification" is required`);
+    } else if (item.action !== "suppress" && item.action !== "relevel") {
+      problems.push(`${where} (${item.code}): "action" must be "suppress" or "relevel"`);
+    } else if (item.action === "relevel" && !CONFIG_LEVELS.includes(item.level)) {
+      problems.push(`${where} (${item.code}): "level" must be one of [${CONFIG_LEVELS.join(", ")}]`);
+    } else if (item.paths !== void 0 && (!Array.isArray(item.paths) || !item.paths.every((glob) => typeof glob === "string"))) {
+      problems.push(`${where} (${item.code}): "paths" must be an array of glob strings`);
+    } else {
+      entries.push(validatorConfigEntry(item, schema));
+    }
+  });
+  return { entries, problems };
+}
+
 // src/files/ignore.ts
 async function readPsychDSIgnore(file) {
   const value = await file.text();
@@ -6759,7 +8929,8 @@ var defaultIgnores = [
   "products/",
   "analysis/",
   "documentation/",
-  "log/"
+  "log/",
+  VALIDATOR_CONFIG_FILE
 ];
 var _ignore;
 var FileIgnoreRules = class {
@@ -6855,6 +9026,9 @@ var psychDSFileDeno = class {
   }
   /** Gets readable stream of file content */
   get stream() {
+    if (this.webFile && typeof this.webFile.stream === "function") {
+      return this.webFile.stream();
+    }
     return createReadStream(this._getPath());
   }
   /** Checks if file should be ignored */
@@ -6881,6 +9055,34 @@ var psychDSFileDeno = class {
     }
     return data;
   }
+  /**
+   * Reads the file as UTF-8 text, one chunk at a time
+   * Streams the file where possible, so large files are never held in memory
+   * at once. Web files without a stream() method are read whole.
+   *
+   * @returns Async iterator over text chunks
+   * @throws {UnicodeDecodeError} If file appears to be UTF-16 encoded
+   */
+  async *textChunks() {
+    const streamable = this.webFile ? typeof this.webFile.stream === "function" : !isBrowser;
+    if (!streamable) {
+      yield await this.text();
+      return;
+    }
+    const decoder = new TextDecoder("utf-8");
+    let started = false;
+    for await (const bytes of readStreamChunks(this.stream)) {
+      const text = decoder.decode(bytes, { stream: true });
+      if (!started && text) {
+        if (text.startsWith("\uFFFD")) {
+          throw new UnicodeDecodeError("This file appears to be UTF-16");
+        }
+        started = true;
+      }
+      yield text;
+    }
+    yield decoder.decode();
+  }
   /**
    * Reads bytes from file in specified range
    * Efficiently handles large files through streaming
@@ -7087,7 +9289,7 @@ function browserFormatIssue(issue, options) {
   );
   output.push("");
   let fileOutCount = 0;
-  issue.files.forEach((file) => {
+  issue.occurrences.forEach((file) => {
     if (!options?.verbose && fileOutCount > 2) {
       return;
     }
@@ -7104,6 +9306,9 @@ function browserFormatIssue(issue, options) {
     }
     fileOutCount++;
   });
+  if (issue.occurrenceCount > fileOutCount) {
+    output.push(`  ... and ${issue.occurrenceCount - fileOutCount} more`);
+  }
   output.push("");
   return output.join("\n");
 }
@@ -7121,7 +9326,7 @@ function nodeFormatIssue(issue, options, chalk) {
   );
   output.push("");
   let fileOutCount = 0;
-  issue.files.forEach((file) => {
+  issue.occurrences.forEach((file) => {
     if (!options?.verbose && fileOutCount > 2) {
       return;
     }
@@ -7138,9 +9343,259 @@ function nodeFormatIssue(issue, options, chalk) {
     }
     fileOutCount++;
   });
+  if (issue.occurrenceCount > fileOutCount) {
+    output.push("		... and " + (issue.occurrenceCount - fileOutCount) + " more");
+  }
   output.push("");
   return output.join("\n");
 }
+function escapeXML(value) {
+  return String(value ?? "").replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+}
+function junitFailure(issue) {
+  const lines = issue.occurrences.map((file) => {
+    let location = `.${file.path}`;
+    if (file.line) {
+      location += `:${file.line}`;
+      if (file.character) {
+        location += `:${file.character}`;
+      }
+    }
+    return file.evidence ? `${location}
+    Evidence: ${file.evidence}` : location;
+  });
+  if (issue.occurrenceCount > issue.occurrences.length) {
+    lines.push(`... and ${issue.occurrenceCount - issue.occurrences.length} more`);
+  }
+  return `      <failure message="${escapeXML(issue.reason)}" type="${escapeXML(issue.key)}">${escapeXML(lines.join("\n"))}</failure>`;
+}
+/**
+ * Formats a validation run as a JUnit XML report
+ * Each checklist step of the tracker becomes a testcase (sub-steps are grouped
+ * under their parent step's classname). Failed steps carry the reason and
+ * evidence of the issue that failed them, steps that never ran are skipped,
+ * and the summary is attached as testsuite properties.
+ *
+ * @param result - Return value of validate / validateWeb
+ * @param tracker - ValidationProgressTracker that listened to the run's emitter
+ * @returns JUnit XML document
+ */
+function formatJUnit(result, tracker) {
+  const testcases = [];
+  let failures = 0;
+  let skipped = 0;
+  const addTestcase = (step, classname) => {
+    const status = tracker.stepStatus.get(step.key);
+    const open = `    <testcase name="${escapeXML(step.key)}" classname="${escapeXML(classname)}"`;
+    const lines = [`${open}>`];
+    if (status?.complete && status.success) {
+      testcases.push(`${open}/>`);
+      return;
+    }
+    if (!status?.complete) {
+      skipped++;
+      lines.push(`      <skipped message="${escapeXML(step.message.imperative)}"/>`);
+    } else {
+      failures++;
+      lines.push(status.issue ? junitFailure(status.issue) : `      <failure message="${escapeXML(step.message.imperative)}"/>`);
+    }
+    lines.push("    </testcase>");
+    testcases.push(lines.join("\n"));
+  };
+  tracker.steps.forEach((superStep) => {
+    if (superStep.subSteps.length === 0) {
+      addTestcase(superStep, "psychds");
+    } else {
+      superStep.subSteps.forEach((subStep) => addTestcase(subStep, `psychds.${superStep.key}`));
+    }
+  });
+  const summary = result.summary || {};
+  const properties = {
+    valid: result.valid,
+    totalFiles: summary.totalFiles,
+    size: summary.size,
+    dataProcessed: summary.dataProcessed,
+    dataTypes: (summary.dataTypes || []).join(","),
+    schemaVersion: summary.schemaVersion,
+    schemaSource: summary.schemaSource?.source,
+    schemaLocation: summary.schemaSource?.location,
+    suggestedColumns: (summary.suggestedColumns || []).join(",")
+  };
+  const propertyLines = Object.entries(properties).map(
+    ([name, value]) => `      <property name="${name}" value="${escapeXML(value)}"/>`
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="psych-DS validation" tests="${testcases.length}" failures="${failures}" skipped="${skipped}">`,
+    `  <testsuite name="psych-DS validation" tests="${testcases.length}" failures="${failures}" errors="0" skipped="${skipped}">`,
+    "    <properties>",
+    ...propertyLines,
+    "    </properties>",
+    ...testcases,
+    "  </testsuite>",
+    "</testsuites>",
+    ""
+  ].join("\n");
+}
+var HTML_REPORT_STYLE = `
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #222; max-width: 960px; margin: 2em auto; padding: 0 1em; line-height: 1.4; }
+  h1 { margin-bottom: 0.2em; }
+  .generated { color: #666; margin-top: 0; }
+  .status { padding: 0.6em 1em; border-radius: 4px; font-weight: bold; }
+  .status.valid { background: #e8f5e9; color: #2e7d32; }
+  .status.invalid { background: #ffebee; color: #c62828; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 1em; }
+  th, td { text-align: left; vertical-align: top; padding: 0.3em 0.6em; border-bottom: 1px solid #ddd; }
+  th { width: 30%; }
+  ol.checklist, ol.checklist ol { list-style: none; padding-left: 1.2em; }
+  .mark { display: inline-block; width: 1.4em; font-weight: bold; }
+  .passed .mark { color: #2e7d32; }
+  .failed .mark { color: #c62828; }
+  .pending { color: #888; }
+  .issue { border-left: 4px solid #c62828; padding: 0.2em 1em; margin-bottom: 1.2em; }
+  .issue.warning { border-left-color: #f9a825; }
+  .issue h3 { margin: 0.3em 0; font-family: monospace; }
+  .issue h4 { margin: 0.6em 0 0.2em; font-family: monospace; font-weight: normal; }
+  .evidence { white-space: pre-wrap; font-family: monospace; font-size: 0.9em; }
+  .location { color: #666; font-family: monospace; }
+`;
+function formatBytes(size) {
+  if (!(size > 0))
+    return "0 B";
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  const exponent = Math.min(Math.floor(Math.log(size) / Math.log(1024)), units.length - 1);
+  return `${(size / 1024 ** exponent).toFixed(exponent ? 1 : 0)} ${units[exponent]}`;
+}
+function htmlChecklist(tracker) {
+  const item = (step) => {
+    const status = tracker.stepStatus.get(step.key);
+    let state = "pending";
+    let mark = "–";
+    if (status?.complete) {
+      state = status.success ? "passed" : "failed";
+      mark = status.success ? "✓" : "✗";
+    }
+    const message = status?.complete ? step.message.pastTense : step.message.imperative;
+    let html = `<li class="${state}"><span class="mark">${mark}</span>${escapeXML(message)}`;
+    if (state === "failed" && status.issue) {
+      html += ` <span class="location">(${escapeXML(status.issue.key)})</span>`;
+    }
+    if (step.subSteps?.length) {
+      html += `<ol>${step.subSteps.map(item).join("")}</ol>`;
+    }
+    return `${html}</li>`;
+  };
+  return `<h2>Checklist</h2>
+<ol class="checklist">${tracker.steps.map(item).join("")}</ol>`;
+}
+function htmlIssue(issue, definition) {
+  const byFile = /* @__PURE__ */ new Map();
+  for (const file of issue.occurrences) {
+    if (!byFile.has(file.path))
+      byFile.set(file.path, []);
+    byFile.get(file.path).push(file);
+  }
+  const helpUrl = definition.helpUrl || issue.helpUrl;
+  const files = [...byFile].map(([path2, occurrences]) => {
+    const heading = path2 === void 0 ? "" : `<h4>.${escapeXML(path2)} (${issue.fileCounts.get(path2)})</h4>`;
+    const items = occurrences.filter((file) => file.line || file.evidence).map((file) => {
+      const location = file.line ? `<span class="location">line ${file.line}${file.character ? `, character ${file.character}` : ""}</span> ` : "";
+      return `<li>${location}<span class="evidence">${escapeXML((file.evidence || "").trim())}</span></li>`;
+    });
+    return heading + (items.length ? `<ul>${items.join("")}</ul>` : "");
+  });
+  if (issue.occurrenceCount > issue.occurrences.length) {
+    files.push(`<p>... and ${issue.occurrenceCount - issue.occurrences.length} more</p>`);
+  }
+  return `<section class="issue ${issue.severity === "warning" ? "warning" : "error"}">
+<h3>${escapeXML(issue.key)}</h3>
+<p>${escapeXML((issue.reason || "").trim())}</p>
+${issue.originalSeverity ? `<p>Re-leveled from ${escapeXML(issue.originalSeverity)} by the validator config.</p>` : ""}
+${issue.justification ? `<p class="justification">Justification: ${escapeXML(issue.justification)}</p>` : ""}
+${helpUrl ? `<p><a href="${escapeXML(helpUrl)}">Help for ${escapeXML(issue.key)}</a></p>` : ""}
+${files.join("\n")}
+</section>`;
+}
+/**
+ * Formats a validation run as a single, self-contained HTML document
+ * Contains the summary, the share of missing values per column, the
+ * checklist state (when a tracker is given), issues
+ * grouped by severity (plus those accepted through the validator config) with
+ * their occurrences grouped by file, and an index of
+ * issues per file. All styling is inline, so the report opens offline.
+ *
+ * @param result - Return value of validate / validateWeb
+ * @param tracker - Optional ValidationProgressTracker that listened to the run's emitter
+ * @returns HTML document
+ */
+function formatHTML(result, tracker) {
+  const schema = result.issues.schema || {};
+  const definitions = {
+    ...collectRuleDefinitions(schema["rules.files"], "files", {}),
+    ...collectRuleDefinitions(schema["rules.errors"], "errors", {})
+  };
+  const issues = [...result.issues.values()];
+  const errors = issues.filter((issue) => issue.severity !== "warning");
+  const warnings = issues.filter((issue) => issue.severity === "warning");
+  const accepted = [...result.issues.accepted?.values() || []];
+  const summary = result.summary || {};
+  const schemaSource = summary.schemaSource || {};
+  const summaryRows = [
+    ["Files", summary.totalFiles],
+    ["Size", formatBytes(summary.size)],
+    ["Data types", (summary.dataTypes || []).join(", ")],
+    ["Schema version", summary.schemaVersion],
+    ["Schema source", [schemaSource.source, schemaSource.location].filter(Boolean).join(" – ")],
+    ["Suggested columns", (summary.suggestedColumns || []).join(", ")]
+  ].map(([name, value]) => `<tr><th>${name}</th><td>${escapeXML(value)}</td></tr>`);
+  const fileIndex = /* @__PURE__ */ new Map();
+  for (const issue of issues) {
+    for (const [path2, count] of issue.fileCounts) {
+      if (path2 === void 0)
+        continue;
+      if (!fileIndex.has(path2))
+        fileIndex.set(path2, []);
+      fileIndex.get(path2).push(`${escapeXML(issue.key)}${count > 1 ? ` (${count})` : ""}`);
+    }
+  }
+  const fileRows = [...fileIndex].sort(([a], [b]) => a.localeCompare(b)).map(
+    ([path2, keys]) => `<tr><th>.${escapeXML(path2)}</th><td>${keys.join("<br>")}</td></tr>`
+  );
+  const missingRows = Object.entries(summary.missingness || {}).map(([path2, columns]) => [
+    path2,
+    Object.entries(columns).filter(([, column]) => column.missing > 0).map(
+      ([header, column]) => `${escapeXML(header)}: ${(column.rate * 100).toFixed(1)}% (${column.missing}/${column.count})`
+    )
+  ]).filter(([, columns]) => columns.length).map(
+    ([path2, columns]) => `<tr><th>.${escapeXML(path2)}</th><td>${columns.join("<br>")}</td></tr>`
+  );
+  const section = (title, list) => list.length ? `<h2>${title} (${list.length})</h2>
+${list.map((issue) => htmlIssue(issue, definitions[issue.key] || {})).join("\n")}` : "";
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>psych-DS validation report</title>
+<style>${HTML_REPORT_STYLE}</style>
+</head>
+<body>
+<h1>psych-DS validation report</h1>
+<p class="generated">Generated ${escapeXML((/* @__PURE__ */ new Date()).toISOString())}</p>
+<p class="status ${result.valid ? "valid" : "invalid"}">${result.valid ? "The dataset is valid." : "The dataset is not valid."} ${errors.length} error(s), ${warnings.length} warning(s).</p>
+<h2>Summary</h2>
+<table>${summaryRows.join("")}</table>
+${missingRows.length ? `<h2>Missing values</h2>
+<table>${missingRows.join("")}</table>` : ""}
+${tracker ? htmlChecklist(tracker) : ""}
+${section("Errors", errors)}
+${section("Warnings", warnings)}
+${section("Accepted", accepted)}
+${fileRows.length ? `<h2>Issues by file</h2>
+<table>${fileRows.join("")}</table>` : ""}
+</body>
+</html>
+`;
+}
 (async () => {
   if (!isBrowser) {
     chalkInstance = await importChalk();
@@ -7148,13 +9603,347 @@ function nodeFormatIssue(issue, options, chalk) {
   }
 })();
 
+// src/utils/resultFormat.ts
+var RESULT_FORMAT_VERSION = "1.4.0";
+/**
+ * Serializes validation results into the versioned JSON result format
+ *
+ * Every consumer (the Shiny `validation_results` input, exported result files
+ * and the Node CLI) receives this shape rather than the live DatasetIssues Map:
+ *
+ *   {
+ *     formatVersion: "1.4.0",
+ *     valid: boolean,
+ *     summary: { totalFiles, size, dataProcessed, dataTypes, schemaVersion,
+ *                schemaSource, suggestedColumns, files, missingness,
+ *                variableMeasuredDrafts, error? },
+ *     issues: {
+ *       errors: [Issue], warnings: [Issue], accepted: [Issue]
+ *     }
+ *   }
+ *
+ * where each Issue is { key, severity, reason, helpUrl, code, occurrenceCount,
+ * additionalOccurrenceCount, additionalFileCount, fileCounts, files }, and each
+ * of its files is { file: { path, name, relativePath }, evidence, line,
+ * character, key, severity, reason, helpUrl, code, justification? }, as
+ * produced by DatasetIssues.formatOutput. Issues re-leveled by the dataset's
+ * validator config carry originalSeverity; issues it suppressed are listed
+ * under accepted, with the config's justification. A run that failed before producing results is
+ * reported in the same shape, with a single VALIDATION_ERROR issue and the
+ * message in summary.error.
+ *
+ * summary.missingness maps each CSV/TSV file path to its columns, each
+ * { count, missing, rate } (cells, missing values and their share).
+ * summary.variableMeasuredDrafts holds a draft PropertyValue per column (see
+ * draftVariableMeasured), from the columns of all data files.
+ *
+ * Changes: 1.1.0 added summary.files (paths of the validated files); 1.2.0
+ * added issues.accepted, originalSeverity and justification; 1.3.0 added
+ * summary.missingness; 1.4.0 added summary.variableMeasuredDrafts.
+ *
+ * @param result - Return value of validate / validateWeb (may be null or a partial
+ *   { summary } when the run failed)
+ * @param error - Error that stopped the run, if any
+ * @returns Plain, JSON-serializable result object
+ */
+function serializeResult(result, error) {
+  const summary = {
+    ...new Summary().formatOutput(),
+    totalFiles: 0,
+    ...result?.summary
+  };
+  if (error || !result?.issues) {
+    const reason = error ? error.message || String(error) : "The validator returned no result.";
+    summary.error = reason;
+    return {
+      formatVersion: RESULT_FORMAT_VERSION,
+      valid: false,
+      summary,
+      issues: {
+        errors: [{
+          key: "VALIDATION_ERROR",
+          severity: "error",
+          reason,
+          helpUrl: "",
+          code: CODE_DEPRECATED,
+          occurrenceCount: 0,
+          additionalOccurrenceCount: 0,
+          additionalFileCount: 0,
+          fileCounts: {},
+          files: []
+        }],
+        warnings: [],
+        accepted: []
+      }
+    };
+  }
+  return {
+    formatVersion: RESULT_FORMAT_VERSION,
+    valid: result.valid,
+    summary,
+    issues: result.issues.formatOutput()
+  };
+}
+/**
+ * Formats validation results as a JSON document in the versioned result format
+ * @param result - Return value of validate / validateWeb
+ * @returns Indented JSON text, e.g. for writing results to a file
+ */
+function formatJSON(result) {
+  return JSON.stringify(serializeResult(result), null, 2);
+}
+
+// src/utils/resultDiff.ts
+function diffOccurrences(issue) {
+  const base = { key: issue.key, severity: issue.severity };
+  if (issue.files.length === 0) {
+    return [{ ...base, path: null, line: 0, character: 0, evidence: "" }];
+  }
+  return issue.files.map((f) => ({
+    ...base,
+    path: f.file.path,
+    line: f.line,
+    character: f.character,
+    evidence: f.evidence
+  }));
+}
+function groupOccurrences(result) {
+  const groups = /* @__PURE__ */ new Map();
+  for (const issue of [...result.issues.errors, ...result.issues.warnings]) {
+    for (const occurrence of diffOccurrences(issue)) {
+      const id = JSON.stringify([occurrence.key, occurrence.path, occurrence.evidence]);
+      if (!groups.has(id))
+        groups.set(id, []);
+      groups.get(id).push(occurrence);
+    }
+  }
+  return groups;
+}
+function normalizeDiffInput(result) {
+  const serialized = result?.formatVersion ? result : serializeResult(result);
+  if (serialized.formatVersion.split(".")[0] !== RESULT_FORMAT_VERSION.split(".")[0]) {
+    throw new Error(
+      `Unsupported result formatVersion ${serialized.formatVersion}, expected ${RESULT_FORMAT_VERSION}`
+    );
+  }
+  return serialized;
+}
+function listChanges(previous = [], current = []) {
+  return {
+    added: current.filter((item) => !previous.includes(item)),
+    removed: previous.filter((item) => !current.includes(item))
+  };
+}
+/**
+ * Compares two validation results and reports what changed between the runs
+ *
+ * Occurrences are matched on issue key, file and evidence rather than on
+ * line/character, so an occurrence whose location moved but whose evidence did
+ * not is reported as persisting. Issues that were truncated in
+ * either result (see additionalOccurrenceCount) are listed under "truncated",
+ * since their unlisted occurrences cannot be compared. Added and removed files
+ * are null when either result predates summary.files (format 1.0.0).
+ *
+ * @param previous - Earlier result, serialized (serializeResult) or as returned by validate
+ * @param current - Later result, in either form
+ * @returns Introduced, resolved and persisting occurrences, per-key changes and summary changes
+ */
+function diffResults(previous, current) {
+  previous = normalizeDiffInput(previous);
+  current = normalizeDiffInput(current);
+  const before = groupOccurrences(previous);
+  const after = groupOccurrences(current);
+  const introduced = [];
+  const resolved = [];
+  const persisting = [];
+  for (const [id, occurrences] of after) {
+    const matched = before.get(id) || [];
+    persisting.push(...occurrences.slice(0, matched.length));
+    introduced.push(...occurrences.slice(matched.length));
+  }
+  for (const [id, occurrences] of before) {
+    resolved.push(...occurrences.slice((after.get(id) || []).length));
+  }
+  const issuesOf = (result) => [...result.issues.errors, ...result.issues.warnings];
+  const previousKeys = issuesOf(previous).map((issue) => issue.key);
+  const currentKeys = issuesOf(current).map((issue) => issue.key);
+  const keyChanges = listChanges(previousKeys, currentKeys);
+  const truncated = issuesOf(previous).concat(issuesOf(current)).filter((issue) => issue.additionalOccurrenceCount > 0).map((issue) => issue.key);
+  const files = previous.summary.files && current.summary.files ? listChanges(previous.summary.files, current.summary.files) : { added: null, removed: null };
+  const columns = listChanges(previous.summary.suggestedColumns, current.summary.suggestedColumns);
+  const dataTypes = listChanges(previous.summary.dataTypes, current.summary.dataTypes);
+  return {
+    introduced,
+    resolved,
+    persisting,
+    counts: {
+      introduced: introduced.length,
+      resolved: resolved.length,
+      persisting: persisting.length
+    },
+    keys: {
+      introduced: keyChanges.added,
+      resolved: keyChanges.removed,
+      persisting: currentKeys.filter((key) => previousKeys.includes(key))
+    },
+    truncated: [.../* @__PURE__ */ new Set(truncated)],
+    summary: {
+      valid: { previous: previous.valid, current: current.valid },
+      filesAdded: files.added,
+      filesRemoved: files.removed,
+      totalFilesDelta: current.summary.totalFiles - previous.summary.totalFiles,
+      sizeDelta: current.summary.size - previous.summary.size,
+      columnsAdded: columns.added,
+      columnsRemoved: columns.removed,
+      dataTypesAdded: dataTypes.added,
+      dataTypesRemoved: dataTypes.removed,
+      schemaVersion: {
+        previous: previous.summary.schemaVersion,
+        current: current.summary.schemaVersion
+      }
+    }
+  };
+}
+
+// src/utils/sarif.ts
+var SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+var SARIF_LEVELS = { error: "error", warning: "warning" };
+function collectRuleDefinitions(node, name, definitions) {
+  if (!node || typeof node !== "object" || Array.isArray(node)) {
+    return definitions;
+  }
+  if (typeof node.code === "string" && !(node.code in definitions)) {
+    definitions[node.code] = { name, ...node };
+  }
+  for (const [key, value] of Object.entries(node)) {
+    collectRuleDefinitions(value, key, definitions);
+  }
+  return definitions;
+}
+/**
+ * Serializes validation results as a SARIF 2.1.0 log
+ *
+ * Each issue key becomes a rule, described from rules.errors / rules.files of
+ * the schema the results were produced with, and each kept occurrence becomes a
+ * result located at its file (and line/character when known). Issues without
+ * any file are reported as results without a location, and issues accepted
+ * through the validator config are reported with an external suppression.
+ *
+ * @param result - Return value of validate / validateWeb
+ * @param options - Optional toolVersion to record as the validator's version;
+ *   the driver carries no version when it is not given
+ * @returns SARIF log object, ready for JSON.stringify
+ */
+function formatSARIF(result, options = {}) {
+  const schema = result.issues.schema || {};
+  const definitions = {
+    ...collectRuleDefinitions(schema["rules.files"], "files", {}),
+    ...collectRuleDefinitions(schema["rules.errors"], "errors", {})
+  };
+  const rules = [];
+  const ruleIndices = {};
+  const results = [];
+  const truncated = {};
+  const accepted = [...result.issues.accepted?.values() || []];
+  for (const issue of [...result.issues.values(), ...accepted]) {
+    const key = issue.key;
+    const definition = definitions[key] || {};
+    const level = SARIF_LEVELS[issue.severity] || "note";
+    const reason = (issue.reason || definition.reason || key).trim();
+    if (!(key in ruleIndices)) {
+      const rule = {
+        id: key,
+        name: definition.name,
+        shortDescription: { text: reason.split("\n")[0] },
+        fullDescription: { text: reason },
+        helpUri: definition.helpUrl || issue.helpUrl,
+        defaultConfiguration: { level: SARIF_LEVELS[issue.originalSeverity || issue.severity] || "note" }
+      };
+      if (definition.troubleshooting) {
+        rule.help = {
+          text: definition.troubleshooting,
+          markdown: definition.troubleshooting
+        };
+      }
+      ruleIndices[key] = rules.push(rule) - 1;
+    }
+    const ruleIndex = ruleIndices[key];
+    const suppressed = accepted.includes(issue);
+    const suppressions = (justification) => suppressed ? { suppressions: [{ kind: "external", justification }] } : {};
+    const occurrences = issue.occurrences.filter((f) => f.path !== void 0);
+    if (occurrences.length === 0) {
+      results.push({ ruleId: key, ruleIndex, level, message: { text: reason }, ...suppressions(issue.justification) });
+    }
+    for (const f of occurrences) {
+      const physicalLocation = {
+        artifactLocation: { uri: f.path.replace(/^\//, ""), uriBaseId: "%SRCROOT%" }
+      };
+      if (f.line) {
+        physicalLocation.region = { startLine: f.line };
+        if (f.character) {
+          physicalLocation.region.startColumn = f.character;
+        }
+      }
+      results.push({
+        ruleId: key,
+        ruleIndex,
+        level,
+        message: { text: (f.evidence || reason).trim() },
+        locations: [{ physicalLocation }],
+        ...suppressions(f.justification)
+      });
+    }
+    if (issue.occurrenceCount > issue.occurrences.length) {
+      truncated[key] = issue.occurrenceCount - issue.occurrences.length;
+    }
+  }
+  const driver = {
+    name: "psychds-validator",
+    informationUri: "https://github.com/psych-ds/psychds-validator",
+    rules
+  };
+  if (options.toolVersion) {
+    driver.version = options.toolVersion;
+  }
+  const schemaSource = result.summary?.schemaSource || {};
+  const run = {
+    tool: {
+      driver,
+      extensions: [{
+        name: "psych-DS schema",
+        version: result.summary?.schemaVersion || schema.schema_version,
+        informationUri: "https://psychds-docs.readthedocs.io/"
+      }]
+    },
+    columnKind: "utf16CodeUnits",
+    originalUriBaseIds: { "%SRCROOT%": { description: { text: "Dataset root" } } },
+    results,
+    properties: {
+      valid: result.valid,
+      schemaVersion: result.summary?.schemaVersion,
+      schemaSource: schemaSource.source,
+      schemaLocation: schemaSource.location
+    }
+  };
+  if (Object.keys(truncated).length) {
+    run.properties.additionalOccurrenceCounts = truncated;
+  }
+  return {
+    $schema: SARIF_SCHEMA,
+    version: "2.1.0",
+    runs: [run]
+  };
+}
+
 // src/utils/validationProgressTracker.ts
 var ValidationProgressTracker = class {
   /**
    * Creates a new validation progress tracker
    * @param emitter - EventEmitter instance for tracking validation events
+   * @param options - Validator options; checklist steps of registered plugins
+   *   and options.plugins are appended to the built-in steps
    */
-  constructor(emitter) {
+  constructor(emitter, options) {
     this.csvProgress = { current: 0, total: 0 };
     this.emitter = emitter;
     this.steps = [
@@ -7310,6 +10099,8 @@ var ValidationProgressTracker = class {
         subSteps: []
       }
     ];
+    this.finalStepKey = this.steps[this.steps.length - 1].key;
+    this.steps.push(...pluginSteps(activePlugins(options)));
     this.stepStatus = /* @__PURE__ */ new Map();
     this.initializeStepStatus();
     this.result = null;
@@ -7507,7 +10298,7 @@ var ValidationProgressTracker = class {
     if (validationFailed) {
       this.emitter.emit("validation-halted");
     }
-    if (this.stepStatus.get("check-variableMeasured")?.success) {
+    if (this.stepStatus.get(this.finalStepKey)?.success) {
       this.emitter.emit("complete");
     }
   }
@@ -7532,13 +10323,224 @@ var ValidationProgressTracker = class {
 
 // src/validate-web.ts
 async function validateWeb(fileTree, options) {
+  throwIfAborted(options?.signal);
   const builtFileTree = await readFileTree(fileTree);
   return validate(builtFileTree, options);
 }
+
+// src/worker.ts
+function cloneableFile(file) {
+  return {
+    name: file.name,
+    path: file.path,
+    line: file.line,
+    character: file.character,
+    evidence: file.evidence
+  };
+}
+function cloneableIssue(issue) {
+  const clone = {
+    key: issue.key,
+    severity: issue.severity,
+    reason: issue.reason,
+    requires: issue.requires,
+    helpUrl: issue.helpUrl,
+    occurrenceCount: issue.occurrenceCount,
+    occurrences: issue.occurrences.map(cloneableFile),
+    files: new Map([...issue.files].map(([path2, file]) => [path2, cloneableFile(file)])),
+    fileCounts: new Map(issue.fileCounts)
+  };
+  if (issue.originalSeverity) {
+    clone.originalSeverity = issue.originalSeverity;
+    clone.justification = issue.justification;
+  }
+  return clone;
+}
+async function cloneableTree(fileTree) {
+  const clone = {};
+  for (const [name, entry] of Object.entries(fileTree)) {
+    if (entry.type !== "file") {
+      clone[name] = { ...entry, contents: await cloneableTree(entry.contents) };
+    } else if (typeof Blob !== "undefined" && entry.file instanceof Blob) {
+      clone[name] = entry;
+    } else {
+      const file = {};
+      for (const [key, value] of Object.entries(entry.file)) {
+        if (typeof value !== "function") {
+          file[key] = value;
+        }
+      }
+      file.text = await entry.file.text();
+      clone[name] = { ...entry, file };
+    }
+  }
+  return clone;
+}
+function restoreTree(fileTree) {
+  for (const entry of Object.values(fileTree)) {
+    if (entry.type !== "file") {
+      restoreTree(entry.contents);
+    } else if (typeof entry.file.text === "string") {
+      const text = entry.file.text;
+      entry.file.text = () => text;
+    }
+  }
+  return fileTree;
+}
+/**
+ * Serves validation requests posted to a Web Worker
+ *
+ * Call this from the worker script (after registering any plugins, which cannot
+ * be sent to the worker). Each run posts back its emitter events as
+ * { type: "event", id, event, data }, then { type: "result", id, result } with
+ * the serialized result, or { type: "error", id, error: { name, message } }.
+ *
+ * @param scope - The worker's global scope
+ */
+function hostValidatorWorker(scope = globalThis) {
+  const runs = /* @__PURE__ */ new Map();
+  scope.addEventListener("message", async ({ data: message }) => {
+    if (message?.type === "abort") {
+      runs.get(message.id)?.abort();
+      return;
+    }
+    if (message?.type !== "validate") {
+      return;
+    }
+    const { id } = message;
+    const controller = new AbortController();
+    runs.set(id, controller);
+    const emitter = {
+      emit(event, data) {
+        const relayed = data?.issue ? { ...data, issue: cloneableIssue(data.issue) } : data;
+        try {
+          scope.postMessage({ type: "event", id, event, data: relayed });
+        } catch (error2) {
+          console.warn(`Could not relay validator event ${event}: ${error2.message}`);
+        }
+        return true;
+      }
+    };
+    try {
+      const result = await validateWeb(restoreTree(message.fileTree), {
+        ...message.options,
+        emitter,
+        signal: controller.signal
+      });
+      scope.postMessage({ type: "result", id, result: serializeResult(result) });
+    } catch (error2) {
+      scope.postMessage({ type: "error", id, error: { name: error2.name, message: error2.message } });
+    } finally {
+      runs.delete(id);
+    }
+  });
+  scope.postMessage({ type: "ready" });
+}
+var ValidatorWorker = class {
+  /**
+   * Runs validations in a Web Worker hosted by hostValidatorWorker
+   * @param worker - Worker whose script calls hostValidatorWorker
+   */
+  constructor(worker) {
+    this.worker = worker;
+    this.runs = /* @__PURE__ */ new Map();
+    this.nextId = 1;
+    this.ready = new Promise((resolve, reject) => {
+      this.failStartup = reject;
+      worker.addEventListener("message", ({ data: message }) => {
+        if (message?.type === "ready") {
+          resolve();
+        } else {
+          this.handleMessage(message);
+        }
+      });
+    });
+    worker.addEventListener("error", (event) => {
+      const error2 = new Error(`Validator worker failed: ${event.message || "the worker script could not be loaded"}`);
+      this.failStartup(error2);
+      for (const run of this.runs.values()) {
+        run.reject(error2);
+      }
+      this.runs.clear();
+    });
+  }
+  /**
+   * Validates a file tree (as accepted by validateWeb) in the worker
+   *
+   * Events are re-emitted on options.emitter and options.signal cancels the
+   * run. options.plugins cannot be sent to a worker; register plugins in the
+   * worker script instead.
+   *
+   * @param fileTree - File tree to validate
+   * @param options - Validator options
+   * @returns Promise resolving to the serialized result (see serializeResult)
+   */
+  async validate(fileTree, options = {}) {
+    const { emitter, signal, plugins, ...workerOptions } = options;
+    if (plugins?.length) {
+      throw new TypeError("Plugins cannot be sent to a validator worker; register them in the worker script");
+    }
+    throwIfAborted(signal);
+    const clonedTree = await cloneableTree(fileTree);
+    await this.ready;
+    throwIfAborted(signal);
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.runs.delete(id);
+        this.worker.postMessage({ type: "abort", id });
+        reject(new ValidationAbortedError(signal.reason));
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+      const settle = (callback) => (value) => {
+        signal?.removeEventListener("abort", onAbort);
+        this.runs.delete(id);
+        callback(value);
+      };
+      this.runs.set(id, { emitter, resolve: settle(resolve), reject: settle(reject) });
+      this.worker.postMessage({ type: "validate", id, fileTree: clonedTree, options: workerOptions });
+    });
+  }
+  handleMessage(message) {
+    const run = this.runs.get(message?.id);
+    if (!run) {
+      return;
+    }
+    if (message.type === "event") {
+      run.emitter?.emit(message.event, message.data);
+    } else if (message.type === "result") {
+      run.resolve(message.result);
+    } else if (message.type === "error") {
+      run.reject(message.error.name === "AbortError" ? new ValidationAbortedError() : new Error(message.error.message));
+    }
+  }
+  /**
+   * Stops the worker, rejecting any runs still in progress
+   */
+  terminate() {
+    this.worker.terminate();
+    for (const run of this.runs.values()) {
+      run.reject(new ValidationAbortedError("The validator worker was terminated"));
+    }
+    this.runs.clear();
+  }
+};
 export {
+  RESULT_FORMAT_VERSION,
+  ValidationAbortedError,
   ValidationProgressTracker,
+  ValidatorWorker,
+  diffResults,
+  draftVariableMeasured,
+  formatHTML,
+  formatJSON,
+  formatJUnit,
+  formatSARIF,
+  hostValidatorWorker,
+  registerPlugin,
+  serializeResult,
   validateWeb
 };
 //# sourceMappingURL=psychds-validator.js.map
 
-if (typeof window !== "undefined") { window.psychDSValidator = { validateWeb, ValidationProgressTracker}; }
\ No newline at end of file
+if (typeof window !== "undefined") { window.psychDSValidator = { validateWeb, ValidationProgressTracker, ValidationAbortedError, ValidatorWorker, hostValidatorWorker, formatSARIF, formatJUnit, formatHTML, formatJSON, serializeResult, diffResults, registerPlugin, draftVariableMeasured, RESULT_FORMAT_VERSION}; }
\ No newline at end of file